@@ -0,0 +1,137 @@
+/**
+ * Retry policy for google API calls.
+ * @module gamanip/backOff
+ */
+
+/**
+ * Number of retries for backOff function before throwing the error.
+ * @kind constant
+ */
+const MAX_TIMEOUT_COUNT = 10;
+/**
+ * Starting delay in ms of exponential backoff. The pattern: 100,200,400,800...
+ * @kind constant
+ */
+const START_TIMEOUT_TIME = 100;
+
+/**
+ * Default retry policy of backOff.
+ * @kind constant
+ * @property maxAttempts { number } number of calls before throwing the error, the first call included
+ * @property baseDelay { number } starting delay in ms, doubled on each retry
+ * @property maxDelay { number } the delay never exceeds it
+ * @property jitter { number } 0..1, part of the delay which is randomized
+ * @property retryableReasons { Array.string } reasons of google errors to retry
+ * @property retryableStatusCodes { Array.number } http status codes to retry
+ * @see {@link MAX_TIMEOUT_COUNT}
+ * @see {@link START_TIMEOUT_TIME}
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: MAX_TIMEOUT_COUNT + 1,
+  baseDelay: START_TIMEOUT_TIME,
+  maxDelay: 64000,
+  jitter: 0,
+  retryableReasons: [
+    'rateLimitExceeded',
+    'quotaExceeded',
+    'userRateLimitExceeded',
+    'backendError',
+    'internalError'
+  ],
+  retryableStatusCodes: [429, 500, 502, 503, 504]
+};
+
+/**
+ * Exponential backoff wrapper for google API
+ * Retries the function if the error has one of retryable reasons or http status codes.
+ * The reasons are read from the google error, GoogleAnalyticsError keeps them from the original one.
+ * The final error gets `attempts` - the history of failed attempts `{ attempt, reason, statusCode, delay, date }`.
+ * The policy can be also overridden per call with `retryPolicy` of the arguments.
+ * @param fn { Function } function returning a promise
+ * @param policy { object } retry policy, see {@link DEFAULT_RETRY_POLICY}
+ * @param policy.onRetry { Function } called with `{ attempt, delay, error }` before each retry
+ * @returns {Function}
+ */
+function backOff(fn, policy = {}) {
+  function tryOnce(args, attempts = []) {
+    const {
+      maxAttempts,
+      baseDelay,
+      maxDelay,
+      jitter,
+      retryableReasons,
+      retryableStatusCodes,
+      onRetry
+    } = {
+      ...DEFAULT_RETRY_POLICY,
+      ...policy,
+      ...((args && args.retryPolicy) || {})
+    };
+    return fn(args).catch((err) => {
+      const attempt = attempts.length + 1;
+      const history = attempts.concat({
+        attempt,
+        reason: reasonOf(err),
+        statusCode: statusCodeOf(err),
+        date: new Date()
+      });
+      if (attempt >= maxAttempts || !isRetryable(err, { retryableReasons, retryableStatusCodes })) {
+        if (err && typeof err === 'object') err.attempts = history;
+        return Promise.reject(err);
+      }
+      const delay = delayOf(attempt, { baseDelay, maxDelay, jitter });
+      history[history.length - 1].delay = delay;
+      if (onRetry) onRetry({ attempt, delay, error: err });
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() =>
+        tryOnce(args, history)
+      );
+    });
+  }
+  return tryOnce;
+}
+
+/**
+ * Check if the error is worth to retry.
+ * Errors marked with `retryable: false` (e.g. exceeded daily quota) are never retried.
+ * @param err { Error } google error or GoogleAnalyticsError
+ * @param policy { object } see {@link DEFAULT_RETRY_POLICY}
+ * @returns {boolean}
+ */
+function isRetryable(err, policy = {}) {
+  const { retryableReasons, retryableStatusCodes } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  if (err && err.retryable === false) return false;
+  return (
+    !!~retryableReasons.indexOf(reasonOf(err)) || !!~retryableStatusCodes.indexOf(statusCodeOf(err))
+  );
+}
+
+function reasonOf(err) {
+  if (!err) return undefined;
+  const errors =
+    err.errors ||
+    (err.response &&
+      err.response.data &&
+      err.response.data.error &&
+      err.response.data.error.errors);
+  return errors && errors[0] ? errors[0].reason : undefined;
+}
+
+function statusCodeOf(err) {
+  if (!err) return undefined;
+  return +(err.statusCode || (err.response && err.response.status) || err.code) || undefined;
+}
+
+function delayOf(attempt, { baseDelay, maxDelay, jitter }) {
+  const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return Math.round(delay - delay * jitter * Math.random());
+}
+
+module.exports = {
+  MAX_TIMEOUT_COUNT,
+  START_TIMEOUT_TIME,
+  DEFAULT_RETRY_POLICY,
+  backOff,
+  isRetryable,
+  reasonOf,
+  statusCodeOf
+};
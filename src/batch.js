@@ -0,0 +1,246 @@
+/**
+ * Batch executor for Management API insert, patch and delete requests.
+ * @module gamanip/batch
+ */
+const Batchelor = require('batchelor');
+const { GoogleAnalyticsError, ServiceError } = require('./errors');
+const { DEFAULT_RETRY_POLICY, isRetryable } = require('./backOff');
+const { governor, quotaUserOf } = require('./quota');
+
+const BATCH_URI = 'https://www.googleapis.com/batch/analytics/v3';
+/**
+ * Number of requests sent in one batch.
+ * @kind constant
+ */
+const BATCH_CONCURRENT_WRITES = 5;
+
+const METHODS = { insert: 'POST', patch: 'PATCH', update: 'PUT', delete: 'DELETE' };
+
+/**
+ * Paths of the management resources by resource type.
+ */
+const RESOURCE_PATHS = {
+  webProperty: ({ accountId }) => `/accounts/${accountId}/webproperties`,
+  customDimension: ({ accountId, webPropertyId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/customDimensions`,
+  customMetric: ({ accountId, webPropertyId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/customMetrics`,
+  view: ({ accountId, webPropertyId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/profiles`,
+  goal: ({ accountId, webPropertyId, profileId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/profiles/${profileId}/goals`,
+  filter: ({ accountId }) => `/accounts/${accountId}/filters`,
+  filterLink: ({ accountId, webPropertyId, profileId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/profiles/${profileId}/profileFilterLinks`,
+  accountUserLink: ({ accountId }) => `/accounts/${accountId}/entityUserLinks`,
+  webPropertyUserLink: ({ accountId, webPropertyId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/entityUserLinks`,
+  profileUserLink: ({ accountId, webPropertyId, profileId }) =>
+    `/accounts/${accountId}/webproperties/${webPropertyId}/profiles/${profileId}/entityUserLinks`
+};
+
+/**
+ * Run any mix of management insert/patch/delete requests in batches.
+ * Requests are sent in chunks, each response part is mapped back to its request,
+ * only the parts failed with retryable errors are retried with exponential backoff.
+ * A batch is billed to one quotaUser, so the requests are chunked by the quotaUser of their target.
+ * The parts missing from the response are retried, their result keeps a 502 error.
+ * @param options
+ * @param options.oauth2Client { object } authenticated client
+ * @param options.requests { Array.<BatchRequest> } the requests
+ * @param options.chunkSize { number } number of requests in one batch
+ * @param options.retryPolicy { object } see {@link DEFAULT_RETRY_POLICY}
+ * @param options.onRun { Function } called with `{ size, attempt }` before each batch is sent
+ * @param options.onRetry { Function } called with `{ attempt, delay, size }` before the failed parts are retried
+ * @returns {Promise}
+ * @fulfil {Array.<BatchResult>} - result per request, in the order of requests
+ */
+function runBatch({
+  oauth2Client,
+  requests,
+  chunkSize = BATCH_CONCURRENT_WRITES,
+  retryPolicy,
+  onRun,
+  onRetry
+}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+  const results = requests.map((request) => ({ request, ok: false }));
+
+  return run(requests.map((request, idx) => idx), 1).then(() => results);
+
+  function run(indexes, attempt) {
+    return chunksByQuotaUser(indexes)
+      .reduce(
+        (next, chunk) =>
+          next.then((retries) => runChunk(chunk, attempt).then((r) => retries.concat(r))),
+        Promise.resolve([])
+      )
+      .then((retries) => {
+        if (retries.length === 0 || attempt >= policy.maxAttempts) return results;
+        const delay = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+        if (onRetry) onRetry({ attempt, delay, size: retries.length });
+        return new Promise((resolve) => setTimeout(resolve, delay)).then(() =>
+          run(retries, attempt + 1)
+        );
+      });
+  }
+
+  /**
+   * Chunks of the requests with the same quotaUser, in the order of their first request.
+   */
+  function chunksByQuotaUser(indexes) {
+    const groups = indexes.reduce((r, idx) => {
+      const quotaUser = quotaUserOf(requests[idx].to);
+      const group = r.find((candidate) => candidate.quotaUser === quotaUser);
+      if (group) group.indexes.push(idx);
+      return group ? r : r.concat({ quotaUser, indexes: [idx] });
+    }, []);
+    return groups.reduce((r, group) => r.concat(chunks(group.indexes, chunkSize)), []);
+  }
+
+  /**
+   * Send one batch, resolves with the indexes of requests to retry.
+   */
+  function runChunk(chunk, attempt) {
+    return Promise.all(
+      chunk.map((idx) =>
+        governor
+          .acquire({
+            quotaUser: quotaUserOf(requests[idx].to),
+            webPropertyId: requests[idx].to.webPropertyId,
+            write: true
+          })
+          .then(() => idx)
+          .catch((error) => fail(idx, error))
+      )
+    )
+      .then((allowed) => allowed.filter((idx) => idx !== undefined))
+      .then((allowed) => {
+        if (allowed.length === 0) return [];
+        if (onRun) onRun({ size: allowed.length, attempt });
+        return accessToken(oauth2Client)
+          .then((token) => send(allowed, token))
+          .then((parts) => {
+            const byId = parts.reduce(
+              (r, part) => ({ ...r, [part.headers['Content-ID']]: part }),
+              {}
+            );
+            return allowed.filter((idx) => !settle(idx, byId[requestId(idx)]));
+          })
+          .catch((error) => {
+            allowed.forEach((idx) => fail(idx, error));
+            return allowed;
+          });
+      });
+  }
+
+  /**
+   * Store the result of the part, returns false if the part should be retried.
+   */
+  function settle(idx, part) {
+    if (!part) {
+      fail(idx, new ServiceError(502, `${requestId(idx)} is missing from the batch response`));
+      return false;
+    }
+    const statusCode = +part.statusCode;
+    if (statusCode >= 200 && statusCode < 300) {
+      results[idx] = { request: requests[idx], ok: true, resource: part.body };
+      return true;
+    }
+    const error = partError(part);
+    fail(idx, error);
+    return !isRetryable(error, policy);
+  }
+
+  function fail(idx, error) {
+    results[idx] = { request: requests[idx], ok: false, error };
+  }
+
+  function send(indexes, token) {
+    const quotaUser = quotaUserOf(requests[indexes[0]].to);
+    const batch = new Batchelor({
+      uri: `${BATCH_URI}?quotaUser=${quotaUser}`,
+      method: 'POST',
+      auth: { bearer: token },
+      headers: { 'Content-Type': 'multipart/mixed' }
+    });
+    indexes.forEach((idx) => batch.add(toBatchPart(requests[idx], requestId(idx))));
+    return new Promise((resolve, reject) => {
+      batch.run((err, response) => {
+        if (err) return reject(err);
+        return resolve((response && response.parts) || []);
+      });
+    });
+  }
+}
+
+/**
+ * Convert the request into a part of Batchelor batch.
+ * @param request { BatchRequest }
+ * @param requestId { string } Content-ID of the part
+ * @returns {object}
+ */
+function toBatchPart({ resourceType, action, to, id, resource }, requestId) {
+  const path = RESOURCE_PATHS[resourceType](to);
+  const quotaUser = quotaUserOf(to);
+  return {
+    method: METHODS[action],
+    path: `/analytics/v3/management${path}${
+      id ? `/${encodeURIComponent(id)}` : ''
+    }?quotaUser=${quotaUser}`,
+    requestId,
+    parameters: {
+      'Content-Type': 'application/json;',
+      body: resource || {}
+    }
+  };
+}
+
+function partError(part) {
+  const { body = {}, statusCode, statusMessage } = part;
+  const { error = {} } = body;
+  return new GoogleAnalyticsError({
+    message: error.message,
+    response: { status: +statusCode, statusText: statusMessage, data: body }
+  });
+}
+
+function accessToken(oauth2Client) {
+  if (!oauth2Client.getAccessToken) return Promise.resolve(oauth2Client.credentials.access_token);
+  return oauth2Client
+    .getAccessToken()
+    .then((res) => (res && res.token) || oauth2Client.credentials.access_token);
+}
+
+function requestId(idx) {
+  return `gamanip-${idx}`;
+}
+
+function chunks(arr, size) {
+  return arr.reduce(
+    (r, item, idx) => (idx % size ? r : r.concat([arr.slice(idx, idx + size)])),
+    []
+  );
+}
+
+module.exports = { BATCH_CONCURRENT_WRITES, runBatch, toBatchPart };
+
+/**
+ *  @typedef BatchRequest
+ *  @type {object}
+ *  @property {string} resourceType - webProperty, customDimension, customMetric, view, goal, filter, filterLink,
+ *  accountUserLink, webPropertyUserLink or profileUserLink
+ *  @property {string} action - insert, patch, update or delete
+ *  @property {object} to - accountId, webPropertyId, profileId and quotaUser the resource belongs to
+ *  @property {string} id - id of the resource for patch, update and delete
+ *  @property {object} resource - body of the request
+ */
+
+/**
+ *  @typedef BatchResult
+ *  @type {object}
+ *  @property {BatchRequest} request - the originating request
+ *  @property {boolean} ok - whether the request succeeded
+ *  @property {object} resource - the resource returned by google on success
+ *  @property {GoogleAnalyticsError} error - the error on failure
+ */
@@ -0,0 +1,344 @@
+/**
+ * The gamanip command-line tool.
+ * @module gamanip/cli
+ */
+const fs = require('fs');
+const { google } = require('googleapis');
+const { ServiceError } = require('./errors');
+const gaApi = require('./gaApi');
+
+/**
+ * Exit codes of the commands. `changes` is returned by plan and diff with `--detailed-exitcode`
+ * when the property differs from the reference object.
+ * @kind constant
+ */
+const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  changes: 3
+};
+
+/**
+ * Scopes requested for the credentials.
+ * @kind constant
+ */
+const SCOPES = [
+  'https://www.googleapis.com/auth/analytics',
+  'https://www.googleapis.com/auth/analytics.edit',
+  'https://www.googleapis.com/auth/analytics.manage.users'
+];
+
+const FLAGS = ['json', 'prune', 'prune-managers', 'force', 'detailed-exitcode', 'help'];
+const REPEATED = ['protect', 'filter', 'metrics', 'dimensions', 'sort'];
+
+const USAGE = `Usage: gamanip <command> [options]
+
+Commands:
+  accounts                            accounts, properties and views of the user
+  export <accountId> <webPropertyId>  the configuration of the property as a reference object
+  plan <reference>                    the operations apply would run
+  apply <reference>                   make the property match the reference object
+  diff <reference>                    the drift between the reference object and the property
+  report --view <id> --metrics <names> [--dimensions <names>] [--start-date <date>]
+         [--end-date <date>] [--filter <condition>] [--sort <names>] [--segment <segment>]
+         [--format csv|ndjson] [--out <file>]
+                                      rows of a Core Reporting API query
+
+The reference is a JSON or YAML reference object or template.
+
+Options:
+  --keyfile <file>     service account key file, GAMANIP_KEYFILE by default
+  --token <file>       OAuth token file with client_id, client_secret and refresh_token,
+                       GAMANIP_TOKEN by default
+  --json               print JSON instead of text
+  --var <name=value>   variable of the template, repeatable
+  --prune              plan and apply: remove the resources which are not declared
+  --protect <name>     plan and apply: resource kept by prune, repeatable
+  --prune-managers     plan and apply: prune also the users with MANAGE_USERS permission
+  --operator <email>   plan and apply: the user kept by prune along with the service account
+  --force              plan and apply: repurpose published custom dimension and metric indexes
+  --detailed-exitcode  plan and diff: exit with ${EXIT_CODES.changes} when there are changes
+
+Exit codes:
+  ${EXIT_CODES.ok}  success
+  ${EXIT_CODES.failure}  failure
+  ${EXIT_CODES.usage}  usage error
+  ${EXIT_CODES.changes}  changes, with --detailed-exitcode
+`;
+
+const COMMANDS = {
+  accounts: { args: [], run: accounts },
+  export: { args: ['accountId', 'webPropertyId'], run: exportCommand },
+  plan: { args: ['reference'], run: planCommand },
+  apply: { args: ['reference'], run: apply },
+  diff: { args: ['reference'], run: diffCommand },
+  report: { args: [], run: report }
+};
+
+/**
+ * Run the command line, the errors are printed to stderr and turned into the exit code.
+ * @example
+ * run(process.argv.slice(2)).then((code) => (process.exitCode = code));
+ * @param argv { Array.string } the arguments after the program
+ * @param io
+ * @param io.stdout { Writable } output of the command
+ * @param io.stderr { Writable } progress and errors
+ * @param io.env { object } environment variables
+ * @returns {Promise}
+ * @fulfil {number} - the exit code, see {@link EXIT_CODES}
+ */
+function run(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`error: ${error.message}\n\n${USAGE}`);
+    return Promise.resolve(EXIT_CODES.usage);
+  }
+  const { command, args, options } = parsed;
+  if (options.help || !command) {
+    (options.help ? stdout : stderr).write(USAGE);
+    return Promise.resolve(options.help ? EXIT_CODES.ok : EXIT_CODES.usage);
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`error: unknown command ${command}\n\n${USAGE}`);
+    return Promise.resolve(EXIT_CODES.usage);
+  }
+  if (args.length !== COMMANDS[command].args.length) {
+    const expected = COMMANDS[command].args.map((arg) => `<${arg}>`).join(' ');
+    stderr.write(`error: usage gamanip ${command} ${expected}\n`);
+    return Promise.resolve(EXIT_CODES.usage);
+  }
+  const keyfile = options.keyfile || (!options.token && env.GAMANIP_KEYFILE);
+  const token = options.token || (!options.keyfile && env.GAMANIP_TOKEN);
+  if (!keyfile && !token) {
+    stderr.write(`error: credentials are missing, use --keyfile or --token\n`);
+    return Promise.resolve(EXIT_CODES.usage);
+  }
+
+  return Promise.resolve()
+    .then(() => credentials({ keyfile, token }))
+    .then((oauth2Client) => COMMANDS[command].run({ oauth2Client, args, options, stdout, stderr }))
+    .then((code = EXIT_CODES.ok) => code)
+    .catch((error) => {
+      stderr.write(`error: ${error.message}\n`);
+      (error.failures || []).forEach(({ operation = {}, error: failure = {} }) =>
+        stderr.write(`  failed to ${describe(operation)}: ${failure.message}\n`)
+      );
+      return EXIT_CODES.failure;
+    });
+}
+
+/**
+ * Split the arguments into the command, its positional arguments and the options.
+ * The repeated options are arrays, the variables are an object.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = { var: {}, protect: [], filter: [], metrics: [], dimensions: [], sort: [] };
+  for (let idx = 0; idx < argv.length; idx++) {
+    const arg = argv[idx];
+    if (!/^--/.test(arg)) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/);
+    if (~FLAGS.indexOf(name)) {
+      options[name] = true;
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++idx];
+    if (value === undefined) throw new Error(`missing value of --${name}`);
+    if (name === 'var') {
+      const [key, variable] = value.split(/=(.*)/);
+      if (variable === undefined) throw new Error(`--var should be name=value, got ${value}`);
+      options.var[key] = variable;
+    } else if (~REPEATED.indexOf(name)) {
+      options[name] = options[name].concat(name === 'filter' ? value : value.split(','));
+    } else {
+      options[name] = value;
+    }
+  }
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * Authenticated client of the service account key file or of the OAuth token file.
+ */
+function credentials({ keyfile, token }) {
+  if (keyfile) {
+    const { client_email: email, private_key: key } = readJson(keyfile, 'key file');
+    return new google.auth.JWT({ email, key, scopes: SCOPES });
+  }
+  const { client_id, client_secret, refresh_token, access_token } = readJson(token, 'token file');
+  if (!client_id || !client_secret || !refresh_token) {
+    throw new ServiceError(
+      412,
+      `token file should have client_id, client_secret and refresh_token`
+    );
+  }
+  const oauth2Client = new google.auth.OAuth2(client_id, client_secret);
+  oauth2Client.setCredentials({ refresh_token, access_token });
+  return oauth2Client;
+}
+
+function readJson(file, kind) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ServiceError(412, `cannot read ${kind} ${file}: ${error.message}`);
+  }
+}
+
+function accounts({ oauth2Client, options, stdout }) {
+  return gaApi.getAccountSummaries({ from: { oauth2Client } }).then(({ summaries }) => {
+    if (options.json) return print(stdout, summaries);
+    return summaries.forEach((account) => {
+      line(stdout, `${account.name} (${account.id})`);
+      (account.webProperties || []).forEach((webProperty) => {
+        line(stdout, `  ${webProperty.name} (${webProperty.id})`);
+        (webProperty.profiles || []).forEach((profile) =>
+          line(stdout, `    ${profile.name} (${profile.id})`)
+        );
+      });
+    });
+  });
+}
+
+function exportCommand({ oauth2Client, args, stdout }) {
+  const [accountId, webPropertyId] = args;
+  return gaApi
+    .exportReferenceObject({ from: { oauth2Client, accountId, webPropertyId } })
+    .then(({ referenceObject }) => print(stdout, referenceObject.toJson()));
+}
+
+function planCommand({ oauth2Client, args, options, stdout }) {
+  return load(args[0], options)
+    .then((referenceObject) =>
+      gaApi.plan({
+        oauth2Client,
+        referenceObject,
+        logger: false,
+        prune: options.prune,
+        protect: options.protect,
+        operator: options.operator,
+        pruneManagers: options['prune-managers'],
+        force: options.force
+      })
+    )
+    .then((operations) => {
+      const changes = operations.filter(({ action }) => action !== 'noop');
+      if (options.json) {
+        print(stdout, operations);
+      } else {
+        changes.forEach((operation) => line(stdout, `${describe(operation)}`));
+        line(stdout, `${summarize(changes)}`);
+      }
+      return changes.length > 0 && options['detailed-exitcode']
+        ? EXIT_CODES.changes
+        : EXIT_CODES.ok;
+    });
+}
+
+function apply({ oauth2Client, args, options, stdout, stderr }) {
+  return load(args[0], options)
+    .then((referenceObject) =>
+      gaApi.make({
+        oauth2Client,
+        referenceObject,
+        logger: options.json ? false : loggerOf(stderr),
+        prune: options.prune,
+        protect: options.protect,
+        operator: options.operator,
+        pruneManagers: options['prune-managers'],
+        force: options.force
+      })
+    )
+    .then((referenceObject) => {
+      if (options.json) return print(stdout, referenceObject);
+      return line(
+        stdout,
+        `applied to ${referenceObject.accountId}/${referenceObject.webPropertyId}`
+      );
+    });
+}
+
+function diffCommand({ oauth2Client, args, options, stdout }) {
+  return load(args[0], options)
+    .then((referenceObject) => gaApi.diff({ oauth2Client, referenceObject }))
+    .then((drifts) => {
+      if (options.json) {
+        print(stdout, drifts);
+      } else {
+        drifts.forEach(({ path, kind, expected, actual }) =>
+          line(stdout, `${kind} ${path}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`)
+        );
+        line(stdout, drifts.length > 0 ? `${drifts.length} differences` : `no differences`);
+      }
+      return drifts.length > 0 && options['detailed-exitcode'] ? EXIT_CODES.changes : EXIT_CODES.ok;
+    });
+}
+
+function report({ oauth2Client, options, stdout }) {
+  const builder = gaApi
+    .query({
+      view: options.view,
+      startDate: options['start-date'] || '7daysAgo',
+      endDate: options['end-date'] || 'yesterday',
+      segment: options.segment,
+      samplingLevel: options['sampling-level']
+    })
+    .metrics(...options.metrics)
+    .dimensions(...options.dimensions)
+    .sort(...options.sort);
+  options.filter.forEach((condition) => builder.filter(condition));
+  const format = options.format || (options.json ? 'ndjson' : 'csv');
+  return gaApi
+    .writeRows({
+      rows: gaApi.iterateReport({ options: builder.build({ oauth2Client }), typed: true }),
+      format,
+      to: options.out || stdout
+    })
+    .then(() => EXIT_CODES.ok);
+}
+
+/**
+ * The reference object of a JSON or YAML file, see {@link loadReferenceObject}.
+ */
+function load(file, options) {
+  return gaApi
+    .loadReferenceObject({ file, variables: options.var })
+    .then(({ referenceObject }) => referenceObject.toJson());
+}
+
+function describe({ action, type, id, current = {}, desired = current }) {
+  const { userRef = {}, filterRef = {} } = desired;
+  const name = desired.name || userRef.email || filterRef.name;
+  return [action, type, name && `"${name}"`, id && `(${id})`].filter((part) => !!part).join(' ');
+}
+
+function summarize(changes) {
+  if (changes.length === 0) return 'no changes';
+  const counts = changes.reduce((r, { action }) => ({ ...r, [action]: (r[action] || 0) + 1 }), {});
+  const total = Object.keys(counts)
+    .map((action) => `${counts[action]} ${action}`)
+    .join(', ');
+  return `${changes.length} changes: ${total}`;
+}
+
+function loggerOf(stream) {
+  const log = (message) => line(stream, message);
+  return { debug() {}, info: log, warn: log, error: log };
+}
+
+function print(stream, value) {
+  line(stream, JSON.stringify(value, null, 2));
+}
+
+function line(stream, text) {
+  stream.write(`${text}\n`);
+}
+
+module.exports = { EXIT_CODES, SCOPES, run, parseArgs };
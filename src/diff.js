@@ -0,0 +1,70 @@
+/**
+ * Field level comparison of the desired and the published configuration.
+ * @module gamanip/diff
+ */
+
+/**
+ * Compare expected value with the actual one.
+ * Only the fields defined in expected are compared, so a partial declaration is not a drift.
+ * Arrays are compared by position, the elements missing in expected are reported as extra.
+ * @param expected { * } desired value
+ * @param actual { * } published value
+ * @param path { string } path of the value, e.g. `views[1].goals[3].eventDetails`
+ * @returns {Array.<Drift>}
+ */
+function diffObjects(expected, actual, path = '') {
+  if (expected === undefined) return [];
+  if (Array.isArray(expected)) {
+    if (actual === undefined || actual === null) return [drift('missing', path, expected, actual)];
+    if (!Array.isArray(actual)) return [drift('changed', path, expected, actual)];
+    return expected
+      .reduce((r, item, idx) => r.concat(diffObjects(item, actual[idx], `${path}[${idx}]`)), [])
+      .concat(
+        actual
+          .slice(expected.length)
+          .map((item, idx) => drift('extra', `${path}[${expected.length + idx}]`, undefined, item))
+      );
+  }
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === undefined || actual === null) return [drift('missing', path, expected, actual)];
+    if (typeof actual !== 'object' || Array.isArray(actual)) {
+      return [drift('changed', path, expected, actual)];
+    }
+    return Object.keys(expected).reduce(
+      (r, key) => r.concat(diffObjects(expected[key], actual[key], path ? `${path}.${key}` : key)),
+      []
+    );
+  }
+  if (actual === undefined) return [drift('missing', path, expected, actual)];
+  if (!isEqual(expected, actual)) return [drift('changed', path, expected, actual)];
+  return [];
+}
+
+/**
+ * Primitives are equal if they are the same or if they are the same number/string.
+ * GA returns some ids as strings, while they are declared as numbers (goal id is 1 or '1').
+ */
+function isEqual(expected, actual) {
+  if (expected === actual) return true;
+  const loose = ['string', 'number'];
+  return (
+    !!~loose.indexOf(typeof expected) &&
+    !!~loose.indexOf(typeof actual) &&
+    String(expected) === String(actual)
+  );
+}
+
+function drift(kind, path, expected, actual) {
+  return { path, kind, expected, actual };
+}
+
+module.exports = { diffObjects, drift };
+
+/**
+ *  @typedef Drift
+ *  @type {object}
+ *  @property {string} path - path of the field, e.g. `views[1].goals[3].eventDetails.eventConditions[0].expression`
+ *  @property {string} kind - missing, extra or changed
+ *  @property {*} expected - value from the reference object
+ *  @property {*} actual - published value
+ */
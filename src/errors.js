@@ -66,17 +66,16 @@ module.exports.GoogleAnalyticsError = class GoogleAnalyticsError extends Error {
 
     const {
       message: errorMessage,
-      response: {
-        status: statusCode,
-        statusText: message,
-        data: { error: type }
-      }
+      response: { status: statusCode, statusText: message, data: { error: type } = {} } = {}
     } = err;
     // Custom debugging information
     this.statusCode = statusCode;
     this.message = `${message} ${errorMessage}`;
     this.internalCode = `${statusCode}-GoogleAnalyticsError`;
     this.type = type;
+    // Reasons of the original google error, backOff relies on them
+    this.errors = (type && type.errors) || err.errors || [];
+    this.originalError = err;
     this.date = new Date();
   }
   toString() {
@@ -98,7 +97,11 @@ module.exports.GoogleAnalyticsError = class GoogleAnalyticsError extends Error {
   }
 };
 
-module.exports.errorHandler = (err) => Promise.reject(new module.exports.GoogleAnalyticsError(err));
+// ServiceErrors are raised by gamanip itself (e.g. quota governor) and are passed as is
+module.exports.errorHandler = (err) =>
+  Promise.reject(
+    err instanceof module.exports.ServiceError ? err : new module.exports.GoogleAnalyticsError(err)
+  );
 /*
 try {
   throw new ServiceError('baz', 'bazMessage');
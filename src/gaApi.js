@@ -3,61 +3,115 @@
  * @module gamanip
  */
 const { google } = require('googleapis');
-const Batchelor = require('batchelor');
 const analytics = google.analytics('v3');
-const webmasters = google.webmasters('v3');
 const errors = require('./errors');
-const { insertServiceError, GoogleAnalyticsError } = errors;
+const { diffObjects, drift } = require('./diff');
+const { insertServiceError, GoogleAnalyticsError, ServiceError, errorHandler } = errors;
+const { backOff, reasonOf, statusCodeOf } = require('./backOff');
+const { governor } = require('./quota');
+const { runBatch } = require('./batch');
+const { listAll, iterateList } = require('./pagination');
+const { Query, query } = require('./query');
+const {
+  reportPagination,
+  typedReport,
+  iterateReport,
+  reportStream,
+  unsampledReport,
+  getRealtime,
+  getMcf,
+  batchGetReports
+} = require('./reporting');
+const { typedRows, typedTotals, writeRows } = require('./rows');
+const { CUSTOM_DEFINITION_LIMITS, GOAL_LIMITS, GOAL_TYPES, validate } = require('./validate');
+const { loadTemplate, parseTemplate } = require('./loader');
+const { pick, omit, compact } = require('./utils');
+const {
+  getSites,
+  querySearchAnalytics,
+  getSitemaps,
+  submitSitemap,
+  deleteSitemap,
+  resolveSiteUrl
+} = require('./searchConsole');
+const management = governor.govern(analytics.management);
+
+const SILENT_LOGGER = { debug() {}, info() {}, warn() {}, error() {} };
+
 /**
- * Number of retries for backOff function before throwing the error.
- * @kind constant
+ * Keys of the reference object keeping the users of a level.
+ */
+const USER_LEVELS = { account: 'accountUsers', webProperty: 'webPropertyUsers' };
+
+/**
+ * Reasons of the errors which pause the queue of the account in makeMany().
  */
-const MAX_TIMEOUT_COUNT = 10;
+const QUOTA_REASONS = ['rateLimitExceeded', 'quotaExceeded', 'userRateLimitExceeded'];
+
 /**
- * Starting delay in ms of exponential backoff. The pattern: 100,200,400,800...
+ * Hostnames which are never a website of the client, ghost spam and proxies.
  * @kind constant
  */
-const START_TIMEOUT_TIME = 100;
-
-const BATCH_CONCURRENT_WRITES = 5;
-
-/**
- * Exponential backoff wrapper for google API
- * Retries the function if error contains errors with one of following reasons 'rateLimitExceeded','quotaExceeded','userRateLimitExceeded','backendError'
- * @returns {Function}
- * @see {@link MAX_TIMEOUT_COUNT}
- * @see {@link START_TIMEOUT_TIME}
- */
-function backOff(fn) {
-  function tryOnce(args, backOffProps) {
-    if (!backOffProps) backOffProps = { timeout: START_TIMEOUT_TIME, count: 0 };
-    return fn(args).catch((err) => {
-      return new Promise((resolve, reject) => {
-        if (
-          backOffProps.count < MAX_TIMEOUT_COUNT &&
-          err.errors &&
-          err.errors[0] &&
-          !!~[
-            'rateLimitExceeded',
-            'quotaExceeded',
-            'userRateLimitExceeded',
-            'backendError'
-          ].indexOf(err.errors[0].reason)
-        ) {
-          return setTimeout(() => {
-            backOffProps.timeout = backOffProps.timeout * 2;
-            backOffProps.count = backOffProps.count + 1;
-            return tryOnce(args, backOffProps)
-              .then((res) => resolve(res))
-              .catch((error) => reject(error));
-          }, backOffProps.timeout);
-        }
-        return reject(err);
-      });
-    });
-  }
-  return tryOnce;
-}
+const SPAM_HOSTNAMES = [
+  /semalt/,
+  /darodar/,
+  /buttons-for/,
+  /free-share-buttons/,
+  /social-buttons/,
+  /get-free-traffic/,
+  /ilovevitaly/,
+  /trafficmonetize/,
+  /googlemare/,
+  /hulfingtonpost/,
+  /googleusercontent\.com$/,
+  /translate\.goog$/
+];
+
+/**
+ * Page readers of the management lists, by the key the list is fulfilled with.
+ */
+const LISTS = {
+  summaries: ({ oauth2Client: auth, quotaUser }) => (page) =>
+    management.accountSummaries.list({ auth, quotaUser, ...page }),
+  accounts: ({ oauth2Client: auth, quotaUser }) => (page) =>
+    management.accounts.list({ auth, quotaUser, ...page }),
+  webProperties: ({ oauth2Client: auth, accountId, quotaUser }) => (page) =>
+    management.webproperties.list({ auth, quotaUser, accountId, ...page }),
+  dimensions: ({ oauth2Client: auth, accountId, webPropertyId, quotaUser }) => (page) =>
+    management.customDimensions.list({ auth, quotaUser, accountId, webPropertyId, ...page }),
+  metrics: ({ oauth2Client: auth, accountId, webPropertyId, quotaUser }) => (page) =>
+    management.customMetrics.list({ auth, quotaUser, accountId, webPropertyId, ...page }),
+  views: ({ oauth2Client: auth, accountId, webPropertyId, quotaUser }) => (page) =>
+    management.profiles.list({ auth, quotaUser, accountId, webPropertyId, ...page }),
+  goals: ({ oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser }) => (page) =>
+    management.goals.list({ auth, quotaUser, accountId, webPropertyId, profileId, ...page }),
+  filters: ({ oauth2Client: auth, accountId, quotaUser }) => (page) =>
+    management.filters.list({ auth, quotaUser, accountId, ...page }),
+  filterLinks: ({ oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser }) => (page) =>
+    management.profileFilterLinks.list({
+      auth,
+      quotaUser,
+      accountId,
+      webPropertyId,
+      profileId,
+      ...page
+    }),
+  accountUserLinks: ({ oauth2Client: auth, accountId, quotaUser }) => (page) =>
+    management.accountUserLinks.list({ auth, quotaUser, accountId, ...page }),
+  webPropertyUserLinks: ({ oauth2Client: auth, accountId, webPropertyId, quotaUser }) => (page) =>
+    management.webpropertyUserLinks.list({ auth, quotaUser, accountId, webPropertyId, ...page }),
+  profileUserLinks: ({ oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser }) => (
+    page
+  ) =>
+    management.profileUserLinks.list({
+      auth,
+      quotaUser,
+      accountId,
+      webPropertyId,
+      profileId,
+      ...page
+    })
+};
 
 /**
  * Get account summaries.
@@ -65,15 +119,15 @@ function backOff(fn) {
  * @param query
  * @param query.from { FromRoot }
  * @param query.from.oauth2Client { object }
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromRoot, summary: Array.Object }} - pass down summaries along with the origin
  */
-function getAccountSummaries({ from }) {
-  const { oauth2Client: auth, quotaUser } = from;
-  return analytics.management.accountSummaries
-    .list({ auth, quotaUser })
-    .then(({ data }) => ({ from, summaries: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getAccountSummaries({ from, pageSize, maxItems }) {
+  return listAll(LISTS.summaries(from), { pageSize, maxItems })
+    .then((summaries) => ({ from, summaries }))
+    .catch(errorHandler);
 }
 
 /**
@@ -82,15 +136,15 @@ function getAccountSummaries({ from }) {
  * @param query
  * @param query.from { FromRoot }
  * @param query.from.oauth2Client { object } authenticated client
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromRoot, accounts: Array.Object }} - pass down accounts along with the origin
  */
-function getAccounts({ from }) {
-  const { oauth2Client: auth, quotaUser } = from;
-  return analytics.management.accounts
-    .list({ auth, quotaUser })
-    .then(({ data }) => ({ from, accounts: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getAccounts({ from, pageSize, maxItems }) {
+  return listAll(LISTS.accounts(from), { pageSize, maxItems })
+    .then((accounts) => ({ from, accounts }))
+    .catch(errorHandler);
 }
 
 /**
@@ -100,15 +154,15 @@ function getAccounts({ from }) {
  * @param query.from { FromAccount }
  * @param query.from.oauth2Client { object } authenticated client
  * @param query.from.accountId { string } the id of account in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromAccount, webProperties: Array.Object }} - pass down webProperties along with the origin
  */
-function getWebProperties({ from }) {
-  const { oauth2Client: auth, accountId, quotaUser } = from;
-  return analytics.management.webproperties
-    .list({ auth, accountId, quotaUser: quotaUser || accountId })
-    .then(({ data }) => ({ from, webProperties: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getWebProperties({ from, pageSize, maxItems }) {
+  return listAll(LISTS.webProperties(from), { pageSize, maxItems })
+    .then((webProperties) => ({ from, webProperties }))
+    .catch(errorHandler);
 }
 
 /**
@@ -123,11 +177,11 @@ function getWebProperties({ from }) {
  * @fulfil {{ from: FromWebProperty, webProperty: Object }} - pass down webProperty along with the origin
  */
 function getWebProperty({ from }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = from;
-  return analytics.management.webproperties
-    .get({ auth, accountId, webPropertyId })
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = from;
+  return management.webproperties
+    .get({ auth, quotaUser, accountId, webPropertyId })
     .then(({ data }) => ({ from, webProperty: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -142,11 +196,11 @@ function getWebProperty({ from }) {
  * @fulfil {{ from: FromWebProperty, webProperty: Object }} - pass down webProperty along with the origin
  */
 function insertWebProperty({ to, webProperty }) {
-  const { oauth2Client: auth, accountId } = to;
-  return analytics.management.webproperties
-    .insert({ auth, accountId, resource: webProperty })
+  const { oauth2Client: auth, accountId, quotaUser } = to;
+  return management.webproperties
+    .insert({ auth, quotaUser, accountId, resource: webProperty })
     .then(({ data }) => ({ to, webProperty: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -162,11 +216,11 @@ function insertWebProperty({ to, webProperty }) {
  * @fulfil {{ from: FromWebProperty, webProperty: Object }} - pass down webProperty along with the origin
  */
 function patchWebProperty({ to, webProperty }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = to;
-  return analytics.management.webproperties
-    .patch({ auth, accountId, webPropertyId, resource: webProperty })
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
+  return management.webproperties
+    .patch({ auth, quotaUser, accountId, webPropertyId, resource: webProperty })
     .then(({ data }) => ({ to, webProperty: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -177,15 +231,15 @@ function patchWebProperty({ to, webProperty }) {
  * @param query.from.oauth2Client { object } authenticated client
  * @param query.from.accountId { string } the id of account in GA
  * @param query.from.webPropertyId { string } the id of web  in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromWebProperty, webProperty: Object }} - pass down dimentsions along with the origin
  */
-function getDimensions({ from }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = from;
-  return analytics.management.customDimensions
-    .list({ auth, accountId, webPropertyId })
-    .then(({ data }) => ({ from, dimensions: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getDimensions({ from, pageSize, maxItems }) {
+  return listAll(LISTS.dimensions(from), { pageSize, maxItems })
+    .then((dimensions) => ({ from, dimensions }))
+    .catch(errorHandler);
 }
 
 /**
@@ -201,16 +255,17 @@ function getDimensions({ from }) {
  * @fulfil {{ from: FromProfile, dimension: Object }} - pass down dimension along with the origin
  */
 function insertDimensions({ to, dimension }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = to;
-  return analytics.management.customDimensions
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
+  return management.customDimensions
     .insert({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       resource: dimension
     })
     .then(({ data }) => ({ to, dimension: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 /**
  * Patch dimension to a view.
@@ -225,18 +280,19 @@ function insertDimensions({ to, dimension }) {
  * @fulfil {{ from: FromProfile, dimension: Object }} - pass down dimension along with the origin
  */
 function patchDimensions({ to, dimension }) {
-  const { oauth2Client: auth, accountId, webPropertyId, profileId } = to;
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
   const { id: customDimensionId } = dimension;
-  return analytics.management.customDimensions
+  return management.customDimensions
     .patch({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       customDimensionId,
       resource: dimension
     })
     .then(({ data }) => ({ to, dimension: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -247,15 +303,15 @@ function patchDimensions({ to, dimension }) {
  * @param query.from.oauth2Client { object } authenticated client
  * @param query.from.accountId { string } the id of account in GA
  * @param query.from.webPropertyId { string } the id of web  in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromWebProperty, webProperty: Object }} - pass down metrics along with the origin
  */
-function getMetrics({ from }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = from;
-  return analytics.management.customMetrics
-    .list({ auth, accountId, webPropertyId })
-    .then(({ data }) => ({ from, metrics: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getMetrics({ from, pageSize, maxItems }) {
+  return listAll(LISTS.metrics(from), { pageSize, maxItems })
+    .then((metrics) => ({ from, metrics }))
+    .catch(errorHandler);
 }
 
 /**
@@ -270,16 +326,17 @@ function getMetrics({ from }) {
  * @fulfil {{ from: FromProfile, metric: Object }} - pass down metric along with the origin
  */
 function insertMetrics({ to, metric }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = to;
-  return analytics.management.customMetrics
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
+  return management.customMetrics
     .insert({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       resource: metric
     })
     .then(({ data }) => ({ to, metric: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 /**
  * Patch metric to a view.
@@ -293,18 +350,19 @@ function insertMetrics({ to, metric }) {
  * @fulfil {{ from: FromProfile, metric: Object }} - pass down metric along with the origin
  */
 function patchMetrics({ to, metric }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = to;
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
   const { id: customMetricId } = metric;
-  return analytics.management.customMetrics
+  return management.customMetrics
     .patch({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       customMetricId,
       resource: metric
     })
     .then(({ data }) => ({ to, metric: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -315,15 +373,15 @@ function patchMetrics({ to, metric }) {
  * @param query.from.oauth2Client { object } authenticated client
  * @param query.from.accountId { string } the id of account in GA
  * @param query.from.webPropertyId { string } the id of web  in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromWebProperty, views: Array.Object }} - pass down views along with the origin
  */
-function getViews({ from }) {
-  const { oauth2Client: auth, accountId, webPropertyId } = from;
-  return analytics.management.profiles
-    .list({ auth, accountId, webPropertyId })
-    .then(({ data }) => ({ from, views: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getViews({ from, pageSize, maxItems }) {
+  return listAll(LISTS.views(from), { pageSize, maxItems })
+    .then((views) => ({ from, views }))
+    .catch(errorHandler);
 }
 
 /**
@@ -340,7 +398,7 @@ function getViews({ from }) {
  */
 function getView({ from }) {
   const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = from;
-  return analytics.management.profiles
+  return management.profiles
     .get({
       auth,
       accountId,
@@ -349,7 +407,7 @@ function getView({ from }) {
       profileId
     })
     .then(({ data }) => ({ from, view: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -366,15 +424,16 @@ function getView({ from }) {
  */
 function insertView({ to, view }) {
   const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
-  return analytics.management.profiles
+  return management.profiles
     .insert({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       resource: view
     })
     .then(({ data }) => ({ to, view: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 
 /**
@@ -392,16 +451,37 @@ function insertView({ to, view }) {
  */
 function patchView({ to, view }) {
   const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
-  return analytics.management.profiles
+  return management.profiles
     .patch({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       profileId,
       resource: view
     })
     .then(({ data }) => ({ to, view: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
+}
+
+/**
+ * Delete view from web property.
+ * All the data of the view is deleted with it.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile }} - pass down the origin
+ */
+function deleteView({ to }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  return management.profiles
+    .delete({ auth, quotaUser, accountId, webPropertyId, profileId })
+    .then(() => ({ to }))
+    .catch(errorHandler);
 }
 
 /**
@@ -413,21 +493,15 @@ function patchView({ to, view }) {
  * @param query.from.accountId { string } the id of account in GA
  * @param query.from.webPropertyId { string } the id of webProperty in GA
  * @param query.from.profileId { string } the id of view in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
  * @returns {Promise}
  * @fulfil {{ from: FromProfile, view: Object }} - pass down views along with the origin
  */
-function getGoals({ from }) {
-  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = from;
-  return analytics.management.goals
-    .list({
-      auth,
-      accountId,
-      webPropertyId,
-      quotaUser,
-      profileId
-    })
-    .then(({ data }) => ({ from, goals: data.items }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+function getGoals({ from, pageSize, maxItems }) {
+  return listAll(LISTS.goals(from), { pageSize, maxItems })
+    .then((goals) => ({ from, goals }))
+    .catch(errorHandler);
 }
 
 /**
@@ -443,17 +517,18 @@ function getGoals({ from }) {
  * @fulfil {{ from: FromProfile, goal: Object }} - pass down goal along with the origin
  */
 function insertGoal({ to, goal }) {
-  const { oauth2Client: auth, accountId, webPropertyId, profileId } = to;
-  return analytics.management.goals
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  return management.goals
     .insert({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       profileId,
       resource: goal
     })
     .then(({ data }) => ({ to, goal: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
+    .catch(errorHandler);
 }
 /**
  * Patch goal to a view.
@@ -468,10 +543,11 @@ function insertGoal({ to, goal }) {
  * @fulfil {{ from: FromProfile, goal: Object }} - pass down goal along with the origin
  */
 function patchGoal({ to, goal }) {
-  const { oauth2Client: auth, accountId, webPropertyId, profileId, goalId } = to;
-  return analytics.management.goals
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, goalId, quotaUser } = to;
+  return management.goals
     .patch({
       auth,
+      quotaUser,
       accountId,
       webPropertyId,
       profileId,
@@ -479,37 +555,425 @@ function patchGoal({ to, goal }) {
       resource: goal
     })
     .then(({ data }) => ({ to, goal: data }))
-    .catch((err) => Promise.reject(new GoogleAnalyticsError(err)));
-}
-
-function insertDimensionsBatch({ to, dimension }) {
-  dimension.quotaUser = to.accountId;
-  return Object.assign({
-    method: 'POST',
-    path: `/analytics/v3/management/accounts/${to.accountId}/webproperties/${
-      to.webPropertyId
-    }/customDimensions?quotaUser=${to.accountId}`,
-    parameters: {
-      'Content-Type': 'application/json;',
-      body: dimension,
-      quotaUser: to.accountId
-    }
-  });
+    .catch(errorHandler);
 }
-function insertPatchDimensionsBatch({ to, dimension }) {
-  dimension.quotaUser = to.accountId;
-  return Object.assign({
-    method: 'PATCH',
-    path: `/analytics/v3/management/accounts/${to.accountId}/webproperties/${
-      to.webPropertyId
-    }/customDimensions/${dimension.id}?quotaUser=${to.accountId}`,
-    parameters: {
-      'Content-Type': 'application/json;',
-      body: dimension,
-      quotaUser: to.accountId
-    }
-  });
+
+/**
+ * Get filters from account.
+ * Returns an array of filters.
+ * @param query
+ * @param query.from { FromAccount }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {{ from: FromAccount, filters: Array.Object }} - pass down filters along with the origin
+ */
+function getFilters({ from, pageSize, maxItems }) {
+  return listAll(LISTS.filters(from), { pageSize, maxItems })
+    .then((filters) => ({ from, filters }))
+    .catch(errorHandler);
+}
+
+/**
+ * Insert filter to an account.
+ * Returns a created filter.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.filter { object } the filter
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount, filter: Object }} - pass down filter along with the origin
+ */
+function insertFilter({ to, filter }) {
+  const { oauth2Client: auth, accountId, quotaUser } = to;
+  return management.filters
+    .insert({ auth, quotaUser, accountId, resource: filter })
+    .then(({ data }) => ({ to, filter: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Patch filter of an account.
+ * Returns a patched filter.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.filter { object } the filter, filter.id is required
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount, filter: Object }} - pass down filter along with the origin
+ */
+function patchFilter({ to, filter }) {
+  const { oauth2Client: auth, accountId, quotaUser } = to;
+  const { id: filterId } = filter;
+  return management.filters
+    .patch({ auth, quotaUser, accountId, filterId, resource: filter })
+    .then(({ data }) => ({ to, filter: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Delete filter from an account.
+ * Filter is removed from all the views it is linked to.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.filterId { string } the id of filter in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount, filter: Object }} - pass down deleted filter along with the origin
+ */
+function deleteFilter({ to }) {
+  const { oauth2Client: auth, accountId, filterId, quotaUser } = to;
+  return management.filters
+    .delete({ auth, quotaUser, accountId, filterId })
+    .then(({ data }) => ({ to, filter: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Get filter links of a view.
+ * Returns an array of filter links ordered by rank.
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.from.webPropertyId { string } the id of webProperty in GA
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, filterLinks: Array.Object }} - pass down filter links along with the origin
+ */
+function getProfileFilterLinks({ from, pageSize, maxItems }) {
+  return listAll(LISTS.filterLinks(from), { pageSize, maxItems })
+    .then((filterLinks) => ({ from, filterLinks }))
+    .catch(errorHandler);
+}
+
+/**
+ * Link filter to a view.
+ * Returns a created filter link.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.filterLink { object } the filter link `{ filterRef: { id }, rank }`
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile, filterLink: Object }} - pass down filter link along with the origin
+ */
+function insertProfileFilterLink({ to, filterLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  return management.profileFilterLinks
+    .insert({ auth, quotaUser, accountId, webPropertyId, profileId, resource: filterLink })
+    .then(({ data }) => ({ to, filterLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Patch filter link of a view. Used to reorder the filters of a view by changing the rank.
+ * Returns a patched filter link.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.filterLink { object } the filter link, filterLink.id is required
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile, filterLink: Object }} - pass down filter link along with the origin
+ */
+function patchProfileFilterLink({ to, filterLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  const { id: linkId } = filterLink;
+  return management.profileFilterLinks
+    .patch({ auth, quotaUser, accountId, webPropertyId, profileId, linkId, resource: filterLink })
+    .then(({ data }) => ({ to, filterLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Unlink filter from a view.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.to.linkId { string } the id of filter link in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile }} - pass down the origin
+ */
+function deleteProfileFilterLink({ to }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, linkId, quotaUser } = to;
+  return management.profileFilterLinks
+    .delete({ auth, quotaUser, accountId, webPropertyId, profileId, linkId })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Get users of an account.
+ * Returns an array of user links, the permissions granted on the account are in permissions.local.
+ * @param query
+ * @param query.from { FromAccount }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {{ from: FromAccount, userLinks: Array.Object }} - pass down user links along with the origin
+ */
+function getAccountUserLinks({ from, pageSize, maxItems }) {
+  return listAll(LISTS.accountUserLinks(from), { pageSize, maxItems })
+    .then((userLinks) => ({ from, userLinks }))
+    .catch(errorHandler);
+}
+
+/**
+ * Grant permissions on an account to a user.
+ * Returns a created user link.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.userLink { object } the user link `{ userRef: { email }, permissions: { local } }`
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount, userLink: Object }} - pass down user link along with the origin
+ */
+function insertAccountUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, quotaUser } = to;
+  return management.accountUserLinks
+    .insert({ auth, quotaUser, accountId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Change permissions of a user on an account.
+ * Returns an updated user link.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.userLink { object } the user link, userLink.id is required
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount, userLink: Object }} - pass down user link along with the origin
+ */
+function updateAccountUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, quotaUser } = to;
+  const { id: linkId } = userLink;
+  return management.accountUserLinks
+    .update({ auth, quotaUser, accountId, linkId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Revoke permissions of a user on an account.
+ * @param query
+ * @param query.to { FromAccount }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.linkId { string } the id of user link in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromAccount }} - pass down the origin
+ */
+function deleteAccountUserLink({ to }) {
+  const { oauth2Client: auth, accountId, linkId, quotaUser } = to;
+  return management.accountUserLinks
+    .delete({ auth, quotaUser, accountId, linkId })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Get users of a web property.
+ * Returns an array of user links, the permissions granted on the web property are in permissions.local.
+ * @param query
+ * @param query.from { FromWebProperty }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.from.webPropertyId { string } the id of webProperty in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {{ from: FromWebProperty, userLinks: Array.Object }} - pass down user links along with the origin
+ */
+function getWebPropertyUserLinks({ from, pageSize, maxItems }) {
+  return listAll(LISTS.webPropertyUserLinks(from), { pageSize, maxItems })
+    .then((userLinks) => ({ from, userLinks }))
+    .catch(errorHandler);
+}
+
+/**
+ * Grant permissions on a web property to a user.
+ * Returns a created user link.
+ * @param query
+ * @param query.to { FromWebProperty }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.userLink { object } the user link `{ userRef: { email }, permissions: { local } }`
+ * @returns {Promise}
+ * @fulfil {{ to: FromWebProperty, userLink: Object }} - pass down user link along with the origin
+ */
+function insertWebPropertyUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
+  return management.webpropertyUserLinks
+    .insert({ auth, quotaUser, accountId, webPropertyId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Change permissions of a user on a web property.
+ * Returns an updated user link.
+ * @param query
+ * @param query.to { FromWebProperty }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.userLink { object } the user link, userLink.id is required
+ * @returns {Promise}
+ * @fulfil {{ to: FromWebProperty, userLink: Object }} - pass down user link along with the origin
+ */
+function updateWebPropertyUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, quotaUser } = to;
+  const { id: linkId } = userLink;
+  return management.webpropertyUserLinks
+    .update({ auth, quotaUser, accountId, webPropertyId, linkId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
 }
+
+/**
+ * Revoke permissions of a user on a web property.
+ * @param query
+ * @param query.to { FromWebProperty }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.linkId { string } the id of user link in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromWebProperty }} - pass down the origin
+ */
+function deleteWebPropertyUserLink({ to }) {
+  const { oauth2Client: auth, accountId, webPropertyId, linkId, quotaUser } = to;
+  return management.webpropertyUserLinks
+    .delete({ auth, quotaUser, accountId, webPropertyId, linkId })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Get users of a view.
+ * Returns an array of user links, the permissions granted on the view are in permissions.local.
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.from.webPropertyId { string } the id of webProperty in GA
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, userLinks: Array.Object }} - pass down user links along with the origin
+ */
+function getProfileUserLinks({ from, pageSize, maxItems }) {
+  return listAll(LISTS.profileUserLinks(from), { pageSize, maxItems })
+    .then((userLinks) => ({ from, userLinks }))
+    .catch(errorHandler);
+}
+
+/**
+ * Grant permissions on a view to a user.
+ * Returns a created user link.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.userLink { object } the user link `{ userRef: { email }, permissions: { local } }`
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile, userLink: Object }} - pass down user link along with the origin
+ */
+function insertProfileUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  return management.profileUserLinks
+    .insert({ auth, quotaUser, accountId, webPropertyId, profileId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Change permissions of a user on a view.
+ * Returns an updated user link.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.userLink { object } the user link, userLink.id is required
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile, userLink: Object }} - pass down user link along with the origin
+ */
+function updateProfileUserLink({ to, userLink }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, quotaUser } = to;
+  const { id: linkId } = userLink;
+  return management.profileUserLinks
+    .update({ auth, quotaUser, accountId, webPropertyId, profileId, linkId, resource: userLink })
+    .then(({ data }) => ({ to, userLink: data }))
+    .catch(errorHandler);
+}
+
+/**
+ * Revoke permissions of a user on a view.
+ * @param query
+ * @param query.to { FromProfile }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.accountId { string } the id of account in GA
+ * @param query.to.webPropertyId { string } the id of webProperty in GA
+ * @param query.to.profileId { string } the id of view in GA
+ * @param query.to.linkId { string } the id of user link in GA
+ * @returns {Promise}
+ * @fulfil {{ to: FromProfile }} - pass down the origin
+ */
+function deleteProfileUserLink({ to }) {
+  const { oauth2Client: auth, accountId, webPropertyId, profileId, linkId, quotaUser } = to;
+  return management.profileUserLinks
+    .delete({ auth, quotaUser, accountId, webPropertyId, profileId, linkId })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Iterate the items of a management list, the pages are read lazily with backOff.
+ * Errors of google are rejected as GoogleAnalyticsError from the iterator.
+ * @example
+ * for await (const view of iterate({ from, list: 'views', pageSize: 100 })) console.log(view.id);
+ * @param query
+ * @param query.from { FromRoot|FromAccount|FromWebProperty|FromProfile } the origin the list requires
+ * @param query.list { string } summaries, accounts, webProperties, dimensions, metrics, views, goals, filters, filterLinks,
+ * accountUserLinks, webPropertyUserLinks or profileUserLinks
+ * @param query.pageSize { number } number of items read per request, 1000 by default
+ * @param query.maxItems { number } stop when there were that many items
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @returns {AsyncIterable}
+ */
+function iterate({ from, list, pageSize, maxItems, retryPolicy }) {
+  if (!LISTS[list]) throw new ServiceError(412, `unknown list ${list}`);
+  const read = LISTS[list](from);
+  return iterateList((page) => read(page).catch(errorHandler), { pageSize, maxItems, retryPolicy });
+}
+
 /*
 {
   accountId,
@@ -535,27 +999,45 @@ function insertPatchDimensionsBatch({ to, dimension }) {
       filters: [{
         name: '...',
         unique: 'name'
-      }]
+      }],
+      users: [{ email, permissions }]
     }
-  ]
+  ],
+  accountUsers: [{ email, permissions }],
+  webPropertyUsers: [{ email, permissions }]
 }
 
 ref = new RefObj(referenceObject)
 ref.account(id);
 ref.webProperty({})
-ref.view({view},[goals], [filters])
+ref.view({view},[goals], [filters], [users])
+ref.users([users], 'account')
 
 */
 function ReferenceObject(referenceObject = {}) {
   this.account = ({ id, accountId }) => {
     referenceObject.accountId = id || accountId;
   };
-  this.webProperty = ({ id, webPropertyId, name, websiteUrl, industryVertical }) => {
+  this.webProperty = ({
+    id,
+    webPropertyId,
+    name,
+    websiteUrl,
+    industryVertical,
+    dataRetentionTtl,
+    dataRetentionResetOnNewActivity,
+    uniqueKey
+  }) => {
     id = id || webPropertyId || undefined;
-    let webProperty = { id };
-    if (name) webProperty.name = name;
-    if (name) webProperty.websiteUrl = websiteUrl;
-    if (name) webProperty.industryVertical = industryVertical;
+    let webProperty = compact({
+      id,
+      name,
+      websiteUrl,
+      industryVertical,
+      dataRetentionTtl,
+      dataRetentionResetOnNewActivity,
+      uniqueKey
+    });
     referenceObject = {
       ...referenceObject,
       webProperty: webProperty,
@@ -563,36 +1045,133 @@ function ReferenceObject(referenceObject = {}) {
     };
   };
   this.view = (
-    { id, profileId, name, currency, timezone, websiteUrl, type, eCommerceTracking },
+    {
+      id,
+      profileId,
+      name,
+      currency,
+      timezone,
+      websiteUrl,
+      type,
+      eCommerceTracking,
+      enhancedECommerceTracking,
+      botFilteringEnabled,
+      defaultPage,
+      excludeQueryParameters,
+      siteSearchQueryParameters,
+      stripSiteSearchQueryParameters,
+      siteSearchCategoryParameters,
+      stripSiteSearchCategoryParameters,
+      uniqueKey
+    },
     /*goals*/ goals = [],
-    /*filters*/ filters = []
+    /*filters*/ filters = [],
+    /*users*/ users
   ) => {
     id = id || profileId || undefined;
     let newView = {
-      view: { id, profileId, name, currency, timezone, websiteUrl, type, eCommerceTracking },
-      profileId: id,
-      goals: goals.map(({ active, type, eventDetails }) => ({ active, type, eventDetails })),
-      filters: filters.map(({ includeDetails, name, type, uniqueKey }) => ({
-        includeDetails,
+      view: compact({
+        id,
+        profileId,
         name,
+        currency,
+        timezone,
+        websiteUrl,
         type,
+        eCommerceTracking,
+        enhancedECommerceTracking,
+        botFilteringEnabled,
+        defaultPage,
+        excludeQueryParameters,
+        siteSearchQueryParameters,
+        stripSiteSearchQueryParameters,
+        siteSearchCategoryParameters,
+        stripSiteSearchCategoryParameters,
         uniqueKey
-      }))
+      }),
+      profileId: id,
+      goals: goals.map(
+        ({
+          id,
+          name,
+          value,
+          active,
+          type,
+          urlDestinationDetails,
+          visitTimeOnSiteDetails,
+          visitNumPagesDetails,
+          eventDetails
+        }) =>
+          compact({
+            id,
+            name,
+            value,
+            active,
+            type,
+            urlDestinationDetails,
+            visitTimeOnSiteDetails,
+            visitNumPagesDetails,
+            eventDetails
+          })
+      ),
+      filters: filters.map(
+        ({
+          id,
+          name,
+          type,
+          uniqueKey,
+          includeDetails,
+          excludeDetails,
+          lowercaseDetails,
+          uppercaseDetails,
+          searchAndReplaceDetails,
+          advancedDetails
+        }) =>
+          compact({
+            id,
+            name,
+            type,
+            uniqueKey,
+            includeDetails,
+            excludeDetails,
+            lowercaseDetails,
+            uppercaseDetails,
+            searchAndReplaceDetails,
+            advancedDetails
+          })
+      )
     };
+    if (users) newView.users = toUsers(users);
     referenceObject = { ...referenceObject, views: [...(referenceObject.views || []), newView] };
   };
   this.customMetrics = (metrics = []) => {
     referenceObject = {
       ...referenceObject,
-      customMetrics: metrics.map(({ name, scope, active, type }) => ({ name, scope, active, type }))
+      customMetrics: metrics.map(({ id, index, name, scope, active, type }) =>
+        compact({ id, index, name, scope, active, type })
+      )
     };
   };
   this.customDimensions = (dimensions = []) => {
     referenceObject = {
       ...referenceObject,
-      customDimensions: dimensions.map(({ name, scope, active }) => ({ name, scope, active }))
+      customDimensions: dimensions.map(({ id, index, name, scope, active }) =>
+        compact({ id, index, name, scope, active })
+      )
     };
   };
+  /**
+   * Users of the account or the web property, users of a view are passed to view().
+   * Permissions are READ_AND_ANALYZE, COLLABORATE, EDIT and MANAGE_USERS.
+   * @example
+   * ref.users([{ email: 'analyst@agency.com', permissions: ['READ_AND_ANALYZE'] }], 'account');
+   * @param users { Array.Object } `{ email, permissions }` of the users
+   * @param level { string } account or webProperty
+   */
+  this.users = (users = [], level = 'webProperty') => {
+    if (!USER_LEVELS[level]) throw new ServiceError(412, `unknown users level ${level}`);
+    referenceObject = { ...referenceObject, [USER_LEVELS[level]]: toUsers(users) };
+  };
   this.toJson = () => referenceObject;
   this.toString = () => JSON.stringify(referenceObject, null, 2);
   return this;
@@ -635,22 +1214,65 @@ console.log(ref.toJson())
   ]
 }
 */
-//TODO: finish
-function shouldBeChanged(source, target) {
-  if (target === null) return false;
-  return !Object.keys(target).reduce((r, k) => {
-    if (!r) return r;
-    if (typeof target[k] !== 'object' && typeof target[k] !== 'array')
-      return target[k] === source[k];
-    if (typeof target[k] === 'array') return target[k].length === source[k].length;
-    if (typeof target[k] === 'object') return !shouldBeChanged(source[k] || {}, target[k]);
-    return false;
-  }, true);
+/**
+ * Users are matched by lowercased email, permissions are uppercased and sorted,
+ * `{ local }` of a published user link is accepted as well.
+ */
+function toUsers(users) {
+  return users.map(({ email, permissions = [] }) => ({
+    email: `${email}`.toLowerCase(),
+    permissions: toPermissions(permissions.local || permissions)
+  }));
+}
+
+function toPermissions(permissions = []) {
+  return []
+    .concat(permissions)
+    .map((permission) => `${permission}`.toUpperCase())
+    .filter((permission, idx, all) => all.indexOf(permission) === idx)
+    .sort();
+}
+
+/**
+ * Index of the custom metric or dimension declared by index or id, e.g. ga:dimension3.
+ */
+function declaredIndexOf({ index, id }) {
+  if (index) return +index;
+  const match = `${id || ''}`.match(/^ga:(dimension|metric)(\d+)$/);
+  return match ? +match[2] : undefined;
+}
+
+/**
+ * Inactive custom metric or dimension keeping the index of a gap.
+ */
+function placeholderOf(type, index) {
+  const placeholder = { name: `Unused ${index}`, scope: 'HIT', active: false };
+  return type === 'customMetric' ? { ...placeholder, type: 'INTEGER' } : placeholder;
+}
+
+/**
+ * Whether the resource is matched by the allow-list of prune, see {@link make}.
+ */
+function isProtected(protect, type, resource) {
+  const { userRef, filterRef } = resource;
+  const names = [resource.id, userRef ? userRef.email : filterRef ? filterRef.name : resource.name]
+    .filter((name) => name !== undefined)
+    .map((name) => `${name}`);
+  return protect.some((item) => {
+    if (typeof item === 'function') return !!item(resource, type);
+    if (item instanceof RegExp) return names.some((name) => item.test(name));
+    return ~names.indexOf(`${item}`);
+  });
+}
+
+function shouldBeChanged(source, target) {
+  if (target === null) return false;
+  return diffObjects(target, source).length > 0;
 }
 
 function findWebPropertyByUniqueKey(key, value) {
   return ({ webProperties }) => {
-    webProperties = webProperties.filter((wp) => wp[key] === webProperty[key]);
+    webProperties = webProperties.filter((wp) => wp[key] === value);
     return webProperties.length > 0 ? { webProperty: webProperties[0] } : {};
   };
 }
@@ -660,605 +1282,1420 @@ function findViewByUniqueKey(key, value) {
     return views.length > 0 ? { view: views[0] } : {};
   };
 }
+function findFilterByUniqueKey(key, value) {
+  return ({ filters }) => {
+    filters = filters.filter((f) => f[key] === value);
+    return filters.length > 0 ? { filter: filters[0] } : {};
+  };
+}
+
+/**
+ * Filters declared with the same key are the same account filter.
+ */
+function filterKeyOf(filter) {
+  if (filter.id) return `id:${filter.id}`;
+  const uniqueKey = filter.uniqueKey || 'name';
+  return `${uniqueKey}:${filter[uniqueKey]}`;
+}
 
-function make({ oauth2Client, referenceObject }) {
-  let batch;
+/**
+ * Apply the reference object to Google Analytics.
+ * The reference object is checked with {@link validate} first, nothing is read or written when it is invalid.
+ * Web property, custom metrics, custom dimensions, views, goals and filters are compared with
+ * the published configuration and inserted or patched when they differ.
+ * Users are granted the declared permissions on the levels they are declared on.
+ * Views, goals, filters and the patches of custom metrics and dimensions are written in batches,
+ * see {@link runBatch}. New custom metrics and dimensions are inserted one by one in index order.
+ * When a batch fails, the first error is rejected with all the failed results in `failures`,
+ * each with the `operation` it was written for.
+ *
+ * With prune, the published resources which are not declared are removed: views, filter links
+ * and users are deleted, filters are deleted once they are not linked to any view of the account.
+ * Custom metrics, custom dimensions and goals can not be deleted, they are deactivated.
+ * Only the kinds of resources the reference object declares are pruned, resources matched by
+ * `protect` are kept. The authenticated user is never pruned, users with MANAGE_USERS permission
+ * are pruned only with `pruneManagers`, so an apply can't lock the operator out of the account.
+ * The prune operations are marked with `prune: true` and are kept in `pruned`
+ * of the resolved reference object.
+ * @param options
+ * @param options.oauth2Client { object } authenticated client
+ * @param options.referenceObject { object } the desired configuration, see {@link ReferenceObject}
+ * @param options.dryRun { boolean } only read the published configuration, nothing is written
+ * @param options.logger { object|false } console like logger with debug, info, warn and error methods, `false` to be silent
+ * @param options.emitter { EventEmitter } receives the progress events: operation:start, operation:success,
+ * operation:failed, batch:run and retry. Each event carries resourceType, action, id, accountId, webPropertyId
+ * @param options.retryPolicy { object } retry policy of the reads and writes, see {@link DEFAULT_RETRY_POLICY}
+ * @param options.prune { boolean } remove or deactivate the published resources which are not declared
+ * @param options.protect { Array.<string|RegExp|Function> } resources kept by prune: name, id or email
+ * of the resource, a pattern of them, or a function called with the resource and its type
+ * @param options.force { boolean } repurpose the indexes of custom metrics and dimensions published with another name
+ * @param options.operator { string } email of the authenticated user kept by prune, the email of
+ * a service account client is kept anyway
+ * @param options.pruneManagers { boolean } prune also the users with MANAGE_USERS permission
+ * @returns {Promise}
+ * @fulfil {object|Array.<Operation>} - the reference object with the ids of published resources, or the planned operations on dryRun
+ */
+function make({
+  oauth2Client,
+  referenceObject,
+  dryRun = false,
+  logger = console,
+  emitter,
+  retryPolicy,
+  prune = false,
+  protect = [],
+  force = false,
+  operator,
+  pruneManagers = false
+}) {
+  try {
+    validate(referenceObject);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  logger = logger || SILENT_LOGGER;
+  const operations = [];
+  let level = 'STANDARD';
 
   let pipe = Promise.resolve();
-  pipe = pipe.then(() => oauth2Client.refreshAccessToken()).then((a) => {
-    batch = new Batchelor({
-      uri: `https://www.googleapis.com/batch/analytics/v3?quotaUser=${referenceObject.accountId}`,
-      method: 'POST',
-      auth: {
-        bearer: oauth2Client.credentials.access_token
-      },
-      headers: {
-        'Content-Type': 'multipart/mixed'
-      }
-    });
-    return referenceObject;
-  });
+  pipe = pipe.then(() => oauth2Client.refreshAccessToken()).then(() => referenceObject);
 
   let {
     accountId,
-    webProperty,
+    webProperty = {},
     webPropertyId,
     customMetrics,
     customDimensions,
-    views
+    views,
+    accountUsers,
+    webPropertyUsers
   } = referenceObject;
-  if (!accountId) return Promise.reject(new ServiceError(412, `accountId should be defined`));
+  referenceObject.webProperty = webProperty;
 
   if (!webPropertyId && webProperty.uniqueKey) {
-    console.log(`!webPropertyId && webProperty.uniqueKey`);
+    logger.debug(`find web property by ${webProperty.uniqueKey} in ${accountId}`);
     pipe = pipe
       .then(() => ({ from: { oauth2Client, accountId } }))
-      .then(getWebProperties)
-      .then(findWebPropertyByUniqueKey(webProperty.uniqueKey, webProperty))
-      .then(({ webProperty: publishedWebProperty }) => {
-        //TODO: if not found
-        webPropertyId = publishedWebProperty.id;
-        referenceObject.webPropertyId = publishedWebProperty.id;
-        referenceObject.webProperty.id = publishedWebProperty.id;
-        //make a diff and patch if required
-        if (shouldBeChanged(publishedWebProperty, referenceObject.webProperty)) {
-          return patchWebProperty({
-            to: { oauth2Client, accountId, webPropertyId: referenceObject.webPropertyId },
-            webProperty: referenceObject.webProperty
-          });
-        }
-        return { webProperty: referenceObject.webProperty };
-      });
+      .then((query) => read(getWebProperties, query))
+      .then(findWebPropertyByUniqueKey(webProperty.uniqueKey, webProperty[webProperty.uniqueKey]))
+      .then(({ webProperty: publishedWebProperty }) => makeWebProperty(publishedWebProperty));
   }
   if (!webPropertyId && !webProperty.uniqueKey) {
-    console.log(`!webPropertyId && !webProperty.unique`);
-    pipe = pipe
-      .then(() => ({ to: { oauth2Client, accountId }, webProperty }))
-      .then(insertWebProperty)
-      .then(({ webProperty: newWebProperty }) => {
-        //add changes to referenceObject
-        webPropertyId = newWebProperty.id;
-        referenceObject.webPropertyId = newWebProperty.id;
-        referenceObject.webProperty.id = newWebProperty.id;
-        return { webProperty: newWebProperty };
-      });
+    pipe = pipe.then(() => makeWebProperty());
   }
   if (webPropertyId) {
     pipe = pipe
       .then(() => ({ from: { oauth2Client, accountId, webPropertyId } }))
-      .then(getWebProperty)
+      .then((query) => read(getWebProperty, query))
       .then(({ webProperty: publishedWebProperty }) => {
         //TODO: WHAT if hasn't found
-        if (shouldBeChanged(publishedWebProperty, referenceObject.webProperty)) {
-          return patchWebProperty({
-            to: { oauth2Client, accountId, webPropertyId: referenceObject.webPropertyId },
-            webProperty: referenceObject.webProperty
-          });
-        }
-        return { webProperty: referenceObject.webProperty };
+        return makeWebProperty(publishedWebProperty);
       });
   }
   if (customMetrics) {
     pipe = pipe
-      .then(() => ({ from: { oauth2Client, accountId, webPropertyId } }))
-      .then(getMetrics)
-      .then(({ metrics: existingMetrics }) => {
-        return customMetrics.reduce((nextMetric, metric, metricIdx) => {
-          return nextMetric.then(() => {
-            if (existingMetrics[metricIdx] && shouldBeChanged(existingMetrics[metricIdx], metric)) {
-              console.log('patch metric');
-              metric.id = `ga:metric${metricIdx + 1}`;
-              metric.index = metricIdx + 1;
-              return patchMetrics({
-                to: { oauth2Client, accountId, webPropertyId, customMetricId: metric.id },
-                metric
-              }).then(({ metric: newMetric }) => (metric.id = newMetric.id));
-            }
-            if (!existingMetrics[metricIdx]) {
-              console.log('insert metric');
-              metric.id = `ga:metric${metricIdx + 1}`;
-              metric.index = metricIdx + 1;
-              return insertMetrics({ to: { oauth2Client, accountId, webPropertyId }, metric }).then(
-                ({ metric: newMetric }) => (metric.id = newMetric.id)
-              );
-            }
-            return true;
-          });
-        }, Promise.resolve());
-      });
+      .then(() => fromWebProperty(getMetrics, 'metrics'))
+      .then(({ metrics: existingMetrics = [] }) =>
+        makeCustoms('customMetric', customMetrics, existingMetrics)
+      );
   }
   if (customDimensions) {
     pipe = pipe
-      .then(() => ({ from: { oauth2Client, accountId, webPropertyId } }))
-      .then(getDimensions)
-      .then(({ dimensions: existingDimensions }) => {
-        return batchDimensions({ existingDimensions, customDimensions });
-      });
+      .then(() => fromWebProperty(getDimensions, 'dimensions'))
+      .then(({ dimensions: existingDimensions = [] }) =>
+        makeCustoms('customDimension', customDimensions, existingDimensions)
+      );
+  }
+  if (views && (views.length > 0 || prune)) {
+    pipe = pipe
+      .then(() => fromWebProperty(getViews, 'views'))
+      .then(({ views: existingViews = [] }) => {
+        const entries = views.map(({ view }) => makeView({ view, existingViews }));
+        // deleted first, so the removed views free the slots of the new ones
+        return applyBatch('view', pruneViews(existingViews)).then(() =>
+          applyBatch('view', entries)
+        );
+      })
+      .then(makeGoals)
+      .then(makeFilters);
+  }
+  if (accountUsers || webPropertyUsers || (views || []).some(({ users }) => !!users)) {
+    pipe = pipe.then(makeUsers);
+  }
+  return pipe.then(() => {
+    if (dryRun) return operations;
+    if (prune) referenceObject.pruned = operations.filter((operation) => operation.prune);
+    return referenceObject;
+  });
 
-    function batchDimensions({ customDimensions, forceOrder = false, counter = 10 }) {
-      return getDimensions({ from: { oauth2Client, accountId, webPropertyId } })
-        .then(buildDimensionsAdjustments)
-        .then(applyTheBatch);
-
-      function buildDimensionsAdjustments({ dimensions: existingDimensions }) {
-        return customDimensions
-          .reduce(addBatchforEachCustomDimension, Promise.resolve([]))
-          .then((batchArr) => ({ batchArr, existingDimensions }));
-
-        function addBatchforEachCustomDimension(nextDimension, dimension, dimensionIdx) {
-          return nextDimension.then((batchArr) => {
-            const { name, scope, active, id, index } = dimension;
-            if (
-              existingDimensions[dimensionIdx] &&
-              shouldBeChanged(
-                existingDimensions[dimensionIdx],
-                pick(dimension, 'name', 'scope', 'active', 'id', 'index')
-              )
-            ) {
-              console.log(`patch cd${dimensionIdx + 1}:${dimension.name} in ${accountId}`);
-              dimension.id = `ga:dimension${dimensionIdx + 1}`;
-              dimension.index = dimensionIdx + 1;
-              batchArr.push(
-                insertPatchDimensionsBatch({
-                  to: { oauth2Client, accountId, webPropertyId },
-                  dimension
-                })
-              );
-            }
-            if (!existingDimensions[dimensionIdx] && dimension) {
-              console.log(`insert cd${dimensionIdx + 1}:${dimension.name} in ${accountId}`);
-              batchArr.push(
-                insertDimensionsBatch({ to: { oauth2Client, accountId, webPropertyId }, dimension })
-              );
-            }
-            return batchArr;
-          });
+  /**
+   * Read the published resources, the reads are retried with backOff as the writes are.
+   */
+  function read(list, query) {
+    return backOff(list, {
+      ...retryPolicy,
+      onRetry: ({ attempt, delay, error }) =>
+        logger.warn(`retry ${attempt} of ${list.name} in ${delay}ms: ${error.message}`)
+    })(query);
+  }
+
+  /**
+   * Record the operation and write it unless it is a dry run.
+   * Writes are retried with backOff and reported to the logger and the emitter.
+   */
+  function apply(operation, write) {
+    record(operation);
+    const { action } = operation;
+    const event = eventOf(operation);
+    if (action === 'noop') return Promise.resolve({});
+    if (dryRun) {
+      logger.info(`plan ${describe(operation)}`);
+      return Promise.resolve({});
+    }
+    logger.info(describe(operation));
+    emit('operation:start', event);
+    return backOff(write, {
+      ...retryPolicy,
+      onRetry: ({ attempt, delay, error }) => {
+        logger.warn(`retry ${attempt} of ${describe(operation)} in ${delay}ms: ${error.message}`);
+        emit('retry', { ...event, attempt, delay, error });
+      }
+    })().then(
+      (result) => {
+        const resource = result[Object.keys(result).find((key) => key !== 'to')] || {};
+        emit('operation:success', { ...event, id: resource.id || event.id });
+        return result;
+      },
+      (error) => {
+        logger.error(`failed to ${describe(operation)}: ${error.message}`);
+        emit('operation:failed', { ...event, error });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Record the operations and write them in batches unless it is a dry run.
+   * Each entry is `{ operation, resource, onSuccess }`, onSuccess gets the published resource.
+   * The stage fails with the first error once all the requests are settled,
+   * `failures` of the error keeps all the failed results along with their operations.
+   */
+  function applyBatch(resourceType, entries) {
+    entries.forEach(({ operation }) => record(operation));
+    const writes = entries.filter(({ operation }) => operation.action !== 'noop');
+    if (writes.length === 0) return Promise.resolve([]);
+    if (dryRun) {
+      writes.forEach(({ operation }) => logger.info(`plan ${describe(operation)}`));
+      return Promise.resolve([]);
+    }
+    writes.forEach(({ operation }) => {
+      logger.info(describe(operation));
+      emit('operation:start', eventOf(operation));
+    });
+    return runBatch({
+      oauth2Client,
+      requests: writes.map(({ operation, resource }) => ({
+        resourceType: operation.type,
+        action: operation.action,
+        to: compact({ accountId, webPropertyId, profileId: operation.profileId }),
+        id: operation.action === 'insert' ? undefined : operation.id,
+        resource
+      })),
+      retryPolicy,
+      onRun: ({ size, attempt }) => emit('batch:run', { resourceType, size, attempt }),
+      onRetry: ({ attempt, delay, size }) => {
+        logger.warn(`retry ${attempt} of ${size} ${resourceType} writes in ${delay}ms`);
+        emit('retry', { resourceType, attempt, delay, size });
+      }
+    }).then((results) => {
+      results.forEach(({ ok, resource = {}, error }, idx) => {
+        const { operation, onSuccess } = writes[idx];
+        const event = eventOf(operation);
+        if (ok) {
+          if (onSuccess) onSuccess(resource);
+          return emit('operation:success', { ...event, id: resource.id || event.id });
         }
+        logger.error(`failed to ${describe(operation)}: ${error.message}`);
+        return emit('operation:failed', { ...event, error });
+      });
+      const failures = results
+        .map((result, idx) => ({ ...result, operation: writes[idx].operation }))
+        .filter(({ ok }) => !ok);
+      if (failures.length === 0) return results;
+      const [{ error }] = failures;
+      error.failures = failures;
+      return Promise.reject(error);
+    });
+  }
+
+  function describe({ action, type, id, current = {}, desired = current }) {
+    const name = desired.userRef ? desired.userRef.email : id || desired.name;
+    return `${action} ${type} ${name || ''} in ${webPropertyId || accountId}`;
+  }
+
+  function eventOf({ action, type: resourceType, id, profileId }) {
+    return compact({ resourceType, action, id, profileId });
+  }
+  function emit(event, payload) {
+    if (emitter) emitter.emit(event, { accountId, webPropertyId, ...payload });
+  }
+
+  function record(operation) {
+    operations.push(compact(operation));
+  }
+
+  /**
+   * Whether the published resource which is not declared should be pruned.
+   */
+  function isPruned(type, resource) {
+    if (!prune) return false;
+    if (!isProtected(protect, type, resource)) return true;
+    logger.debug(`keep protected ${type} ${resource.name || resource.id}`);
+    return false;
+  }
+
+  /**
+   * Entry of the resource which can not be deleted, so it is patched with active false.
+   */
+  function deactivate(type, current, resource, profileId) {
+    const desired = { ...resource, active: false };
+    return {
+      operation: {
+        action: 'patch',
+        type,
+        id: current.id,
+        accountId,
+        webPropertyId,
+        profileId,
+        current,
+        desired,
+        prune: true
+      },
+      resource: desired
+    };
+  }
+
+  /**
+   * Entry deleting the resource.
+   */
+  function remove(type, current, profileId) {
+    return {
+      operation: {
+        action: 'delete',
+        type,
+        id: current.id,
+        accountId,
+        webPropertyId,
+        profileId,
+        current,
+        prune: true
       }
+    };
+  }
+
+  /**
+   * The published views which do not match any declared view.
+   */
+  /**
+   * The published views no declared view stands for, by id, uniqueKey or name.
+   * A declared view which matched nothing is inserted, it never makes a published view go.
+   */
+  function pruneViews(existingViews) {
+    const isDeclared = (current) =>
+      views.some(({ view }) => {
+        if (view.id !== undefined) return `${view.id}` === `${current.id}`;
+        const key = view.uniqueKey || 'name';
+        return view[key] !== undefined && view[key] === current[key];
+      });
+    return existingViews
+      .filter((current) => !isDeclared(current))
+      .filter((current) => isPruned('view', current))
+      .map((current) => remove('view', current));
+  }
+
+  /**
+   * Read the list of resources of the web property.
+   * Web property is not published yet on dryRun, so there is nothing to read.
+   */
+  function fromWebProperty(list, key) {
+    if (!webPropertyId) return Promise.resolve({ [key]: [] });
+    return read(list, { from: { oauth2Client, accountId, webPropertyId } });
+  }
+
+  function makeWebProperty(publishedWebProperty) {
+    const { uniqueKey, ...webProperty } = referenceObject.webProperty;
+    const desired = compact(webProperty);
+    if (!publishedWebProperty) {
+      return apply({ action: 'insert', type: 'webProperty', accountId, desired }, () =>
+        insertWebProperty({ to: { oauth2Client, accountId }, webProperty: desired })
+      ).then(({ webProperty: newWebProperty }) => {
+        //add changes to referenceObject
+        if (!newWebProperty) return {};
+        webPropertyId = newWebProperty.id;
+        level = newWebProperty.level || level;
+        referenceObject.webPropertyId = newWebProperty.id;
+        referenceObject.webProperty.id = newWebProperty.id;
+        return { webProperty: newWebProperty };
+      });
+    }
+    webPropertyId = publishedWebProperty.id;
+    level = publishedWebProperty.level || level;
+    referenceObject.webPropertyId = publishedWebProperty.id;
+    referenceObject.webProperty.id = publishedWebProperty.id;
+    desired.id = publishedWebProperty.id;
+    //make a diff and patch if required
+    return apply(
+      {
+        action: shouldBeChanged(publishedWebProperty, desired) ? 'patch' : 'noop',
+        type: 'webProperty',
+        id: webPropertyId,
+        accountId,
+        current: publishedWebProperty,
+        desired
+      },
+      () =>
+        patchWebProperty({
+          to: { oauth2Client, accountId, webPropertyId },
+          webProperty: desired
+        })
+    ).then(() => ({ webProperty: referenceObject.webProperty }));
+  }
 
-      function applyTheBatch({ batchArr, existingDimensions }) {
-        if (batchArr.length === 0) return existingDimensions;
-        batch = batchArr.slice(0, BATCH_CONCURRENT_WRITES).reduce((b, ba) => b.add(ba) && b, batch);
-
-        return new Promise((resolve, reject) => {
-          batch.run((err, response) => {
-            batch.reset();
-            const { errors, parts } = response;
-            if (errors > 0) console.log(`number of errors ${errors}: ${JSON.stringify(response)}`);
-
-            const successfulDimensions = parts
-              .filter((p) => p.statusCode === '200')
-              .map((r) => r.body);
-
-            successfulDimensions.forEach((p) => {
-              console.log(`${p.name} - ${p.id} success`);
-            });
-
-            const failures = parts.filter((p) => p.statusCode !== '200');
-
-            console.log(
-              `failed ${failures.length}, success ${successfulDimensions.length} of ${
-                customDimensions.length
-              }`
-            );
-            console.log(JSON.stringify(failures));
-            try {
-              failures.forEach((f) => {
-                if (p.body.error.errors[0].reason === 'insufficientPermissions')
-                  return reject(p.body.error);
-                console.log(
-                  `${f.statusCode}-${f.body.error.errors[0].reason}:${
-                    f.body.error.errors[0].message
-                  }`
-                );
-              });
-            } catch (e) {}
-            if (err) return reject(err);
-            return setTimeout(() => {
-              batchDimensions({
-                customDimensions,
-                counter: counter - 1
-              }).then((r) => resolve(r));
-            }, 1000);
+  /**
+   * Custom metrics and dimensions are matched with the published ones by the declared index,
+   * the index of the declared id or by name, the others take the free indexes.
+   * Google assigns the indexes in the order of the inserts, so the gaps before a declared index
+   * are filled with inactive placeholders and the inserts are written one by one in index order,
+   * the patches are written in one batch. A published index with another name is repurposed
+   * only with force.
+   */
+  function makeCustoms(type, definitions, published) {
+    const prefix = type === 'customMetric' ? 'ga:metric' : 'ga:dimension';
+    const byIndex = published.reduce((r, current) => ({ ...r, [current.index]: current }), {});
+    const publishedCount = published.reduce((max, { index }) => Math.max(max, +index), 0);
+    const limit = CUSTOM_DEFINITION_LIMITS[level] || CUSTOM_DEFINITION_LIMITS.STANDARD;
+    const problems = [];
+    const claimed = {};
+    const slots = definitions.map((definition) => ({
+      definition,
+      index: declaredIndexOf(definition)
+    }));
+
+    slots.filter(({ index }) => index).forEach(({ definition, index }) => {
+      if (claimed[index]) problems.push(`${prefix}${index} is declared twice`);
+      claimed[index] = definition;
+    });
+    slots.filter(({ index }) => !index).forEach((slot) => {
+      const named = published.find(
+        ({ name, index }) => name === slot.definition.name && !claimed[index]
+      );
+      if (!named) return;
+      slot.index = +named.index;
+      claimed[slot.index] = slot.definition;
+    });
+    let free = 1;
+    slots.filter(({ index }) => !index).forEach((slot) => {
+      while (byIndex[free] || claimed[free]) free = free + 1;
+      slot.index = free;
+      claimed[free] = slot.definition;
+    });
+
+    const lastIndex = Object.keys(claimed).reduce((max, index) => Math.max(max, +index), 0);
+    if (lastIndex > limit) {
+      problems.push(`${prefix}${lastIndex} is over the limit of ${limit} of ${level} property`);
+    }
+    slots
+      .filter(({ definition, index }) => byIndex[index] && byIndex[index].name !== definition.name)
+      .forEach(({ definition, index }) => {
+        if (force) return logger.warn(`repurpose ${prefix}${index} as ${definition.name}`);
+        return problems.push(
+          `${prefix}${index} is published as ${byIndex[index].name}, declared as ${
+            definition.name
+          }, use force to repurpose it`
+        );
+      });
+    if (problems.length > 0) {
+      return Promise.reject(new ServiceError(412, `invalid ${type}: ${problems.join('; ')}`));
+    }
+
+    const patches = slots.filter(({ index }) => byIndex[index]).map(({ definition, index }) => {
+      const current = byIndex[index];
+      definition.id = current.id;
+      definition.index = index;
+      return {
+        operation: {
+          action: shouldBeChanged(current, definition) ? 'patch' : 'noop',
+          type,
+          id: current.id,
+          accountId,
+          webPropertyId,
+          current,
+          desired: { ...definition }
+        },
+        resource: { ...definition }
+      };
+    });
+    const pruned = published
+      .filter(({ index }) => !claimed[index])
+      .filter((current) => current.active)
+      .filter((current) => isPruned(type, current))
+      .map((current) => deactivate(type, current, pick(current, 'id', 'name', 'scope', 'type')));
+    const inserts = [];
+    for (let index = publishedCount + 1; index <= lastIndex; index = index + 1) {
+      inserts.push(claimed[index] || placeholderOf(type, index));
+    }
+
+    const insert = (to, resource) =>
+      type === 'customMetric'
+        ? insertMetrics({ to, metric: resource })
+        : insertDimensions({ to, dimension: resource });
+
+    return applyBatch(type, patches.concat(pruned)).then(() =>
+      inserts.reduce((next, definition, idx) => {
+        const index = publishedCount + idx + 1;
+        definition.id = `${prefix}${index}`;
+        definition.index = index;
+        const resource = omit(definition, 'id', 'index');
+        const to = { oauth2Client, accountId, webPropertyId };
+        return next
+          .then(() =>
+            apply(
+              { action: 'insert', type, accountId, webPropertyId, desired: { ...definition } },
+              () => insert(to, resource)
+            )
+          )
+          .then(({ metric, dimension }) => {
+            const created = metric || dimension;
+            if (created) Object.assign(definition, pick(created, 'id', 'index'));
           });
-        });
+      }, Promise.resolve())
+    );
+  }
+
+  function makeView({ view, existingViews }) {
+    const { uniqueKey, profileId, ...desired } = view;
+    let foundView;
+    if (view.id) {
+      // ids are strings in the API, numbers when the template has them without quotes
+      foundView = findViewByUniqueKey('id', `${view.id}`)({ views: existingViews }).view;
+    } else if (uniqueKey) {
+      foundView = findViewByUniqueKey(uniqueKey, view[uniqueKey])({ views: existingViews }).view;
+    } else if (view.name) {
+      // the same as filters, a view without id and uniqueKey is matched by name
+      foundView = findViewByUniqueKey('name', view.name)({ views: existingViews }).view;
+    }
+    if (!foundView && view.id) {
+      // never go on, prune would delete the published view the declared one stands for
+      throw new ServiceError(404, `view ${view.id} is not found in ${webPropertyId || accountId}`);
+    }
+    if (!foundView) {
+      return {
+        operation: {
+          action: 'insert',
+          type: 'view',
+          accountId,
+          webPropertyId,
+          desired: compact(desired)
+        },
+        resource: compact(desired),
+        onSuccess: ({ id }) => id && (view.id = id)
+      };
+    }
+    view.id = foundView.id;
+    desired.id = foundView.id;
+    return {
+      operation: {
+        action: shouldBeChanged(foundView, compact(desired)) ? 'patch' : 'noop',
+        type: 'view',
+        id: view.id,
+        accountId,
+        webPropertyId,
+        current: foundView,
+        desired: compact(desired)
+      },
+      resource: compact(desired)
+    };
+  }
+
+  /**
+   * Goals of all the views are written in one batch. A goal is matched with the published one
+   * by the declared id or by name, a new goal takes the lowest free id of the view.
+   */
+  function makeGoals() {
+    // a view without goals declares none, prune removes the published ones
+    const withGoals = views
+      .map(({ view, goals = [] }) => ({ view, goals }))
+      .filter(({ view, goals }) => goals.length > 0 || (prune && view.id));
+    return Promise.all(
+      withGoals.map(({ view, goals }) => {
+        if (!view.id) return { view, goals, existingGoals: [] };
+        return read(getGoals, {
+          from: { oauth2Client, accountId, webPropertyId, profileId: view.id }
+        }).then(({ goals: existingGoals = [] }) => ({ view, goals, existingGoals }));
+      })
+    ).then((viewGoals) => {
+      const found = [];
+      const entries = viewGoals.reduce(
+        (r, { view, goals, existingGoals }) =>
+          r.concat(makeViewGoals({ view, goals, existingGoals, found })),
+        []
+      );
+      if (found.length > 0) {
+        return Promise.reject(new ServiceError(412, `invalid goals: ${found.join('; ')}`));
+      }
+      return applyBatch('goal', entries);
+    });
+  }
+
+  function makeViewGoals({ view, goals, existingGoals, found }) {
+    const byId = existingGoals.reduce((r, current) => ({ ...r, [current.id]: current }), {});
+    const claimed = {};
+    const slots = goals.map((goal) => ({
+      goal,
+      id: goal.id === undefined ? undefined : `${goal.id}`
+    }));
+    slots.filter(({ id }) => id).forEach(({ goal, id }) => (claimed[id] = goal));
+    slots.filter(({ id }) => !id).forEach((slot) => {
+      const named = existingGoals.find(({ id, name }) => name === slot.goal.name && !claimed[id]);
+      if (!named) return;
+      slot.id = named.id;
+      claimed[slot.id] = slot.goal;
+    });
+    let free = 1;
+    slots.filter(({ id }) => !id).forEach((slot) => {
+      while (byId[free] || claimed[free]) free = free + 1;
+      if (free > GOAL_LIMITS.goals) {
+        found.push(`no free goal id for ${slot.goal.name} in view ${view.id || view.name}`);
+        return;
       }
+      slot.id = `${free}`;
+      claimed[free] = slot.goal;
+    });
+
+    return slots
+      .filter(({ id }) => id)
+      .map(({ goal, id }) => {
+        const current = byId[id];
+        goal.id = id;
+        const action = !current ? 'insert' : shouldBeChanged(current, goal) ? 'patch' : 'noop';
+        return {
+          operation: {
+            action,
+            type: 'goal',
+            id,
+            accountId,
+            webPropertyId,
+            profileId: view.id,
+            current,
+            desired: { ...goal }
+          },
+          resource: { ...goal },
+          onSuccess: ({ id: goalId }) => goalId && (goal.id = goalId)
+        };
+      })
+      .concat(
+        existingGoals
+          .filter(({ id }) => !claimed[id])
+          .filter((current) => current.active)
+          .filter((current) => isPruned('goal', current))
+          .map((current) =>
+            deactivate('goal', current, pick(current, 'id', 'name', 'type'), view.id)
+          )
+      );
+  }
+
+  /**
+   * Filters belong to the account and are linked to the view.
+   * Each filter is matched by its uniqueKey (name by default), the filters of all the views
+   * are inserted or patched in one batch, a filter declared in several views is written once.
+   * Then the filters are linked to each view with the rank of its position in the list,
+   * the links are written one by one, as the rank of a link shifts the ranks of the others.
+   */
+  function makeFilters() {
+    const withFilters = views
+      .map(({ view, filters = [] }) => ({ view, filters }))
+      .filter(({ view, filters }) => filters.length > 0 || (prune && view.id));
+    if (withFilters.length === 0) return Promise.resolve();
+    let existingFilters = [];
+    let unlinked = [];
+    return read(getFilters, { from: { oauth2Client, accountId } })
+      .then(({ filters = [] }) => {
+        existingFilters = filters;
+        const declared = withFilters.reduce(
+          (r, { filters }) =>
+            filters.reduce((d, filter) => {
+              const key = filterKeyOf(filter);
+              return { ...d, [key]: (d[key] || []).concat(filter) };
+            }, r),
+          {}
+        );
+        return applyBatch(
+          'filter',
+          Object.keys(declared).map((key) =>
+            makeFilter({ filters: declared[key], existingFilters })
+          )
+        );
+      })
+      .then(() =>
+        withFilters.reduce(
+          (next, { view, filters }) =>
+            next
+              .then(() => makeFilterLinks({ filters, profileId: view.id }))
+              .then((prunedLinks) => (unlinked = unlinked.concat(prunedLinks))),
+          Promise.resolve()
+        )
+      )
+      .then(() => pruneFilters(unlinked, existingFilters));
+  }
+
+  /**
+   * Filters are shared by the views of the account, so a filter unlinked by prune is deleted
+   * only when it is not declared and no other view of the account links it.
+   */
+  function pruneFilters(unlinked, existingFilters) {
+    const declaredIds = views.reduce(
+      (r, { filters = [] }) => r.concat(filters.map(({ id }) => id)),
+      []
+    );
+    const candidates = existingFilters
+      .filter(({ id }) => unlinked.some(({ filterRef }) => filterRef.id === id))
+      .filter(({ id }) => !~declaredIds.indexOf(id))
+      .filter((current) => isPruned('filter', current));
+    if (candidates.length === 0) return Promise.resolve();
+    return read(getProfileFilterLinks, {
+      from: { oauth2Client, accountId, webPropertyId: '~all', profileId: '~all' }
+    }).then(({ filterLinks = [] }) => {
+      const linked = filterLinks.filter((link) => !unlinked.some(({ id }) => id === link.id));
+      return applyBatch(
+        'filter',
+        candidates
+          .filter(({ id }) => !linked.some(({ filterRef }) => filterRef.id === id))
+          .map((current) => remove('filter', current))
+      );
+    });
+  }
+
+  function makeFilter({ filters, existingFilters }) {
+    const [filter] = filters;
+    const { uniqueKey, ...resource } = filter;
+    const { filter: foundFilter } = filter.id
+      ? findFilterByUniqueKey('id', filter.id)({ filters: existingFilters })
+      : findFilterByUniqueKey(uniqueKey || 'name', filter[uniqueKey || 'name'])({
+          filters: existingFilters
+        });
+    if (!foundFilter) {
+      return {
+        operation: { action: 'insert', type: 'filter', accountId, desired: resource },
+        resource,
+        onSuccess: ({ id }) => id && filters.forEach((f) => (f.id = id))
+      };
     }
+    filters.forEach((f) => (f.id = foundFilter.id));
+    const desired = { ...resource, id: foundFilter.id };
+    return {
+      operation: {
+        action: shouldBeChanged(foundFilter, desired) ? 'patch' : 'noop',
+        type: 'filter',
+        id: foundFilter.id,
+        accountId,
+        current: foundFilter,
+        desired
+      },
+      resource: desired
+    };
+  }
 
-    /*
-      .then(({ dimensions: existingDimensions }) => {
-          return customDimensions.reduce((nextDimension, dimension, dimensionIdx) => {
-            return nextDimension.then((batch) => {
-              if (
-                existingDimensions[dimensionIdx] &&
-                shouldBeChanged(existingDimensions[dimensionIdx], dimension)
-              ) {
-                dimension.id = `ga:dimension${dimensionIdx + 1}`;
-                dimension.index = dimensionIdx + 1;
-                batch.add(insertPatchDimensionsBatch({to:{oauth2Client, accountId, webPropertyId}, dimension}))
-              }
-              if (!existingDimensions[dimensionIdx] && dimension) {
-                dimension.id = `ga:dimension${dimensionIdx + 1}`;
-                dimension.index = dimensionIdx + 1;
-                batch.add(insertDimensionsBatch({to:{oauth2Client, accountId, webPropertyId}, dimension}))
-              }
-              return batch;
-            });
-          }, Promise.resolve(batch))
-          .then((batch) => {
-            return new Promise((resolve, reject) => {
-              batch.run((err, response) => {
-                const {errors, parts} = response;
-                if(errors>0) console.log(`number of errors ${errors}: ${JSON.stringify(response)}`)
-                console.log(JSON.stringify(parts, null, 2))
-                parts.reduce((cd, p) => {
-                  let dimension = cd.find((d) => d.name === p.name);
-                  console.log(p, "<<", dimension)
-                  dimension.id = p.id;
-                  dimension.index = p.index
-                  return cd;
-                }, customDimensions);
-                if(err) return reject(err);
-                resolve({response});
-              })
-            })
+  /**
+   * Links of the view are unlinked first when pruned, then the declared filters are linked.
+   * Resolves with the pruned links.
+   */
+  function makeFilterLinks({ filters, profileId }) {
+    const to = { oauth2Client, accountId, webPropertyId, profileId };
+    let prunedLinks = [];
+    return Promise.resolve()
+      .then(() => {
+        if (!profileId) return { filterLinks: [] };
+        return read(getProfileFilterLinks, {
+          from: { oauth2Client, accountId, webPropertyId, profileId }
+        });
+      })
+      .then(({ filterLinks: existingLinks = [] }) => {
+        prunedLinks = existingLinks
+          .filter(({ filterRef }) => !filters.some(({ id }) => id === filterRef.id))
+          .filter((link) => isPruned('filterLink', link));
+        if (prunedLinks.length === 0) return { filterLinks: existingLinks };
+        return prunedLinks
+          .reduce(
+            (next, link) =>
+              next.then(() =>
+                apply(remove('filterLink', link, profileId).operation, () =>
+                  deleteProfileFilterLink({ to: { ...to, linkId: link.id } })
+                )
+              ),
+            Promise.resolve()
+          )
+          .then(() => {
+            if (!dryRun) return read(getProfileFilterLinks, { from: to });
+            // the ranks of the links left shift as google does on delete
+            const filterLinks = existingLinks
+              .filter((link) => !~prunedLinks.indexOf(link))
+              .sort((a, b) => a.rank - b.rank)
+              .map((link, idx) => ({ ...link, rank: idx + 1 }));
+            return { filterLinks };
           });
-          //for each dimension, diff and patch/insert
-        });*/
-    /* function batchDimensions({ existingDimensions, customDimensions, counter = 5 }) {
-      if (counter < 0) {
-        return Promise.resolve({});
-      }
-      console.log(`batchDimensions try ${5 - counter}`);
-
-      return customDimensions
-        .reduce((nextDimension, dimension, dimensionIdx) => {
-          return nextDimension.then((batchArr) => {
-            if (
-              existingDimensions[dimensionIdx] &&
-              shouldBeChanged(existingDimensions[dimensionIdx], dimension)
-            ) {
-              console.log(`patch cd${dimensionIdx + 1}:${dimension.name}`);
-              dimension.id = `ga:dimension${dimensionIdx + 1}`;
-              dimension.index = dimensionIdx + 1;
-              batchArr.push(
-                insertPatchDimensionsBatch({
-                  to: { oauth2Client, accountId, webPropertyId },
-                  dimension
-                })
+      })
+      .then(({ filterLinks: existingLinks = [] }) =>
+        filters.reduce((nextLink, filter, filterIdx) => {
+          return nextLink.then(() => {
+            const rank = filterIdx + 1;
+            const link = existingLinks.find(({ filterRef }) => filterRef.id === filter.id);
+            const operation = {
+              type: 'filterLink',
+              id: link && link.id,
+              accountId,
+              webPropertyId,
+              profileId,
+              current: link,
+              desired: { filterRef: { id: filter.id, name: filter.name }, rank }
+            };
+            if (!link) {
+              return apply({ ...operation, action: 'insert' }, () =>
+                insertProfileFilterLink({ to, filterLink: { filterRef: { id: filter.id }, rank } })
               );
             }
-            if (!existingDimensions[dimensionIdx] && dimension) {
-              console.log(`insert cd${dimensionIdx + 1}:${dimension.name}`);
-              batchArr.push(
-                insertDimensionsBatch({ to: { oauth2Client, accountId, webPropertyId }, dimension })
+            if (link.rank !== rank) {
+              return apply({ ...operation, action: 'patch' }, () =>
+                patchProfileFilterLink({
+                  to,
+                  filterLink: { id: link.id, filterRef: { id: filter.id }, rank }
+                })
               );
             }
-            return batchArr;
+            return apply({ ...operation, action: 'noop' });
           });
-        }, Promise.resolve([]))
-        .then((batchArr) => {
-          batch = batchArr
-            .slice(0, BATCH_CONCURRENT_WRITES)
-            .reduce((b, ba) => b.add(ba) && b, batch);
-
-          return new Promise((resolve, reject) => {
-            batch.run((err, response) => {
-              batch.reset();
-              const { errors, parts } = response;
-              if (errors > 0)
-                console.log(`number of errors ${errors}: ${JSON.stringify(response)}`);
-
-              const successfulDimensions = parts
-                .filter((p) => p.statusCode === '200')
-                .map((r) => r.body);
-
-              successfulDimensions.forEach((p) => {
-                let dimension = customDimensions.find((d) => d.name === p.name);
-                existingDimensions[dimension.index - 1] = dimension;
-                dimension.id = p.id;
-                dimension.index = p.index;
-                console.log(`${dimension.name} - ${dimension.id} success`);
-              });
-
-              const failedCustomDimensions = existingDimensions.reduce(
-                (cd, sd) => {
-                  return cd.filter((c) => c.name !== sd.name);
-                },
-                [...customDimensions]
-              );
-              const failures = parts.filter((p) => p.statusCode !== '200');
+        }, Promise.resolve())
+      )
+      .then(() => prunedLinks);
+  }
 
-              console.log(
-                `failed ${failedCustomDimensions.length}, success ${
-                  successfulDimensions.length
-                } of ${customDimensions.length}`
-              );
-              console.log(JSON.stringify(failures));
-              try {
-                failures.forEach((f) =>
-                  console.log(
-                    `${f.statusCode}-${f.body.error.errors[0].reason}:${
-                      f.body.error.errors[0].message
-                    }`
-                  )
-                );
-              } catch (e) {}
-              if (failedCustomDimensions.length > 0) {
-                return setTimeout(() => {
-                  batchDimensions({
-                    customDimensions,
-                    existingDimensions,
-                    counter: counter - 1
-                  }).then((r) => resolve(r));
-                }, 1000);
-              }
-              if (err) return reject(err);
-              resolve({ response });
-            });
-          });
+  /**
+   * Users are matched by email with the user links of each level they are declared on,
+   * the permissions granted on that level are updated when they differ. With prune, the users
+   * with permissions granted on that level which are not declared are revoked, the permissions
+   * inherited from the parent level are left alone. The user links are written in one batch.
+   */
+  function makeUsers() {
+    const levels = [
+      { type: 'accountUserLink', users: accountUsers, list: getAccountUserLinks, published: true },
+      {
+        type: 'webPropertyUserLink',
+        users: webPropertyUsers,
+        list: getWebPropertyUserLinks,
+        published: !!webPropertyId
+      }
+    ]
+      .concat(
+        (views || []).map(({ view, users }) => ({
+          type: 'profileUserLink',
+          users,
+          list: getProfileUserLinks,
+          profileId: view.id,
+          published: !!view.id
+        }))
+      )
+      .filter(({ users }) => !!users);
+    return Promise.all(
+      levels.map((level) => {
+        if (!level.published) return makeUserLinks(level, []);
+        const from = compact({
+          oauth2Client,
+          accountId,
+          webPropertyId,
+          profileId: level.profileId
         });
-    }*/
-
-    /*  .then(({ dimensions: existingDimensions }) => {
-        return customDimensions.reduce((nextDimension, dimension, dimensionIdx) => {
-          return nextDimension.then(() => {
-            if (
-              existingDimensions[dimensionIdx] &&
-              shouldBeChanged(existingDimensions[dimensionIdx], dimension)
-            ) {
-              console.log(`patch dimension to ${dimension.name}`);
-              dimension.id = `ga:dimension${dimensionIdx + 1}`;
-              dimension.index = dimensionIdx + 1;
-              return patchDimensions({
-                to: { oauth2Client, accountId, webPropertyId, customDimensionId: dimension.id },
-                dimension
-              }).then(({ dimension: newDimension }) => (dimension.id = newDimension.id));
-            }
-            if (!existingDimensions[dimensionIdx]) {
-              console.log(`insert dimension ${dimension.name}`);
-              dimension.id = `ga:dimension${dimensionIdx + 1}`;
-              dimension.index = dimensionIdx + 1;
-              return insertDimensions({
-                to: { oauth2Client, accountId, webPropertyId },
-                dimension
-              }).then(({ dimension: newDimension }) => (dimension.id = newDimension.id));
-            }
-            return true;
-          });
-        }, Promise.resolve());
-        //for each dimension, diff and patch/insert
-      });*/
+        return read(level.list, { from }).then(({ userLinks = [] }) =>
+          makeUserLinks(level, userLinks)
+        );
+      })
+    ).then((entries) => applyBatch('userLink', [].concat(...entries)));
   }
-  if (views && views.length > 0) {
-    const hasUnique = views.reduce((r, { view }) => r || view.uniqueKey, false);
-    const hasId = views.reduce((r, { view }) => r || !!view.id, false);
-    if (hasUnique || hasId) {
-      pipe = pipe.then(() => ({ from: { oauth2Client, accountId, webPropertyId } })).then(getViews);
-    }
-    pipe = views.reduce((next, { view, goals = [], filters = [] }) => {
-      return next
-        .then(({ views: existingViews = [] } = {}) => {
-          //for each view, diff and patch/insert
-          if (!view.id && view.uniqueKey) {
-            const { view: foundView } = findViewByUniqueKey(view.uniqueKey, view)({
-              views: existingViews
-            });
-            return; //TODO: if not found
-          }
-          if (!view.id && !view.uniqueKey) {
-            console.log('insert view');
-            return insertView({ to: { oauth2Client, accountId, webPropertyId }, view })
-              .then(({ view: newView }) => (view.id = newView.id))
-              .then(() => ({ views: existingViews }));
-          }
-          if (view.id) {
-            //if view id
-            const ids = existingViews.map((v) => v.id);
-            if (!!~ids.indexOf(view.id)) {
-              const foundExistingView = existingViews[ids.indexOf(view.id)];
-              if (shouldBeChanged(foundExistingView, view)) {
-                console.log('patch view');
-                return patchView({
-                  to: { oauth2Client, accountId, webPropertyId, profileId: view.id },
-                  view
-                }).then(() => ({ views: existingViews }));
-              }
-              return { views: existingViews };
-            }
-            //TODO: hasn't found
-            return { views: existingViews };
-          }
-          return { views: existingViews };
-        })
-        .then(({ views: existingViews }) => {
-          let goalsPipe = Promise.resolve([]);
-          if (goals.length > 0) {
-            goalsPipe = goalsPipe
-              .then(() => ({
-                from: { oauth2Client, accountId, webPropertyId, profileId: view.id }
-              }))
-              .then(getGoals);
-          }
 
-          return goals
-            .reduce((nextGoal, goal, goalIdx) => {
-              return nextGoal.then(({ goals: existingGoals }) => {
-                if (existingGoals[goalIdx] && shouldBeChanged(existingGoals[goalIdx], goal)) {
-                  console.log('patch goal');
-                  goal.id = goalIdx + 1;
-                  return patchGoal({
-                    to: {
-                      oauth2Client,
-                      accountId,
-                      webPropertyId,
-                      profileId: view.id,
-                      goalId: goal.id
-                    },
-                    goal
-                  })
-                    .then(({ goal: newGoal }) => (goal.id = newGoal.id))
-                    .then(() => ({ goals: existingGoals }));
-                }
-                if (!existingGoals[goalIdx]) {
-                  console.log('insert goal');
-                  goal.id = goalIdx + 1;
-                  return insertGoal({
-                    to: { oauth2Client, accountId, webPropertyId, profileId: view.id },
-                    goal
-                  })
-                    .then(({ goal: newGoal }) => (goal.id = newGoal.id))
-                    .then(() => ({ goals: existingGoals }));
-                }
-                return { goals: existingGoals };
-              });
-            }, goalsPipe)
-            .then(() => ({ views: existingViews }));
-        })
-        .then(({ views: existingViews }) => {
-          //TODO: implement filters
-          return { views: existingViews };
-        });
-    }, pipe);
+  function makeUserLinks({ type, users, profileId }, userLinks) {
+    const operators = [operator, oauth2Client.email]
+      .filter(Boolean)
+      .map((email) => `${email}`.toLowerCase());
+    const emailOf = ({ userRef = {} }) => `${userRef.email}`.toLowerCase();
+    const localOf = ({ permissions = {} }) => toPermissions(permissions.local);
+    const operation = { type, accountId, webPropertyId, profileId };
+    return users
+      .map(({ email, permissions }) => {
+        const link = userLinks.find((userLink) => emailOf(userLink) === email);
+        const desired = { userRef: { email }, permissions: { local: permissions } };
+        if (!link) {
+          return { operation: { ...operation, action: 'insert', desired }, resource: desired };
+        }
+        const changed = localOf(link).join() !== permissions.join();
+        return {
+          operation: {
+            ...operation,
+            action: changed ? 'update' : 'noop',
+            id: link.id,
+            current: link,
+            desired: { ...desired, id: link.id }
+          },
+          resource: { ...desired, id: link.id }
+        };
+      })
+      .concat(
+        userLinks
+          .filter((userLink) => localOf(userLink).length > 0)
+          .filter((userLink) => !users.some(({ email }) => emailOf(userLink) === email))
+          .filter((userLink) => !~operators.indexOf(emailOf(userLink)))
+          .filter((userLink) => pruneManagers || !~localOf(userLink).indexOf('MANAGE_USERS'))
+          .filter((userLink) => isPruned(type, userLink))
+          .map((userLink) => remove(type, userLink, profileId))
+      );
   }
-  return pipe.then(() => referenceObject);
 }
 
-//TODO: function getFilters
-//TODO: function cleanFilters
-
-//TODO: function get predictedNumberOfUrls
-//TODO: getHostNames
-/*
-function getHostNames({ from }) {
-  return new Promise((resolve, reject) => {
-    let today = new Date();
-    let thirtyDaysBack = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    analytics.data.ga.get(
-      {
-        auth: from.oauth2Client,
-        ids: `ga:${from.profileId}`,
-        metrics: 'ga:sessions',
-        dimensions: 'ga:hostname',
-        'start-date': yyyymmdd(thirtyDaysBack),
-        'end-date': yyyymmdd(today)
-      },
-      (err, data) => {
-        if (!data || !data.rows) return resolve({ from, hostName: null });
-        const hostNames = data.rows.reduce(filterValidDomains, []).sort((a, b) => +a[1] < +b[1]);
-        if (!hostNames) return resolve({ from, hostNames: [] });
-        if (err) return reject(err);
-        resolve({ from, hostNames });
-      }
-    );
+/**
+ * Plan the changes make() would apply to Google Analytics, without writing anything.
+ * All the reads are done, so the current values are compared with the desired ones.
+ * @param options
+ * @param options.oauth2Client { object } authenticated client
+ * @param options.referenceObject { object } the desired configuration, see {@link ReferenceObject}
+ * @param options.logger { object|false } console like logger, see {@link make}
+ * @param options.retryPolicy { object } retry policy of the reads, see {@link DEFAULT_RETRY_POLICY}
+ * @param options.prune { boolean } plan the removal of undeclared resources, see {@link make}
+ * @param options.protect { Array.<string|RegExp|Function> } resources kept by prune, see {@link make}
+ * @param options.force { boolean } repurpose published custom indexes, see {@link make}
+ * @param options.operator { string } email of the authenticated user kept by prune, see {@link make}
+ * @param options.pruneManagers { boolean } prune also the users with MANAGE_USERS permission, see {@link make}
+ * @returns {Promise}
+ * @fulfil {Array.<Operation>} - the ordered list of operations
+ */
+function plan({
+  oauth2Client,
+  referenceObject,
+  logger,
+  retryPolicy,
+  prune,
+  protect,
+  force,
+  operator,
+  pruneManagers
+}) {
+  return make({
+    oauth2Client,
+    referenceObject: JSON.parse(JSON.stringify(referenceObject)),
+    dryRun: true,
+    logger,
+    retryPolicy,
+    prune,
+    protect,
+    force,
+    operator,
+    pruneManagers
   });
 }
 
-function getHostName({ from }) {
-  return new Promise((resolve, reject) => {
-    let today = new Date();
-    let thirtyDaysBack = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    analytics.data.ga.get(
-      {
-        auth: from.oauth2Client,
-        ids: `ga:${from.analyticsViewId}`,
-        metrics: 'ga:sessions',
-        dimensions: 'ga:hostname',
-        'start-date': yyyymmdd(thirtyDaysBack),
-        'end-date': yyyymmdd(today)
-      },
-      (err, data) => {
-        if (!data || !data.rows) return resolve({ from, hostName: null });
-        const domainItem = data.rows.reduce(filterValidDomains, []).reduce(filterMax, null);
-        if (!domainItem) return resolve({ from, hostName: null });
-        const hostName = domainItem[0];
-        if (err) return reject(err);
-        resolve({ from, hostName });
-      }
-    );
+/**
+ * Apply one reference definition to many web properties.
+ * The targets are made in parallel, at most `concurrency` at a time. A failed target does not stop
+ * the others. When a target fails with a rate limit or quota error, the queue of its account is paused
+ * for `quotaDelay` ms, doubled on each pause, and the target is made again; the other accounts go on.
+ * The template is deep copied for each target, its accountId and webPropertyId are replaced with
+ * the ones of the target. It can be a function of the target, e.g. to load a template with the
+ * variables of the target.
+ * @example
+ * makeMany({
+ *   oauth2Client,
+ *   targets: [{ accountId: '123', webPropertyId: 'UA-123-1', variables: { currency: 'EUR' } }],
+ *   template: ({ variables }) =>
+ *     loadReferenceObject({ file: 'standard.yaml', variables }).then(({ referenceObject }) => referenceObject)
+ * })
+ * @param options
+ * @param options.oauth2Client { object } authenticated client
+ * @param options.targets { Array.Object } `{ accountId, webPropertyId }` of the web properties
+ * @param options.template { object|ReferenceObject|Function } the reference definition, or a function
+ * of the target returning it or a promise of it
+ * @param options.concurrency { number } number of targets made at the same time
+ * @param options.quotaDelay { number } ms the account is paused for after the first quota error
+ * @param options.maxQuotaPauses { number } the target fails after that many quota errors
+ * @param options.logger { object|false } console like logger, see {@link make}
+ * @param options.emitter { EventEmitter } receives the events of make() and account:paused with
+ * accountId, webPropertyId, delay and error
+ * @param options.dryRun { boolean } only plan the changes, see {@link make}
+ * @param options.retryPolicy { object } retry policy of the reads and writes, see {@link make}
+ * @param options.prune { boolean } see {@link make}
+ * @param options.protect { Array.<string|RegExp|Function> } see {@link make}
+ * @param options.force { boolean } see {@link make}
+ * @returns {Promise}
+ * @fulfil {Array.<TargetSummary>} - the summaries in the order of the targets, failed targets are reported there
+ */
+function makeMany({
+  oauth2Client,
+  targets = [],
+  template,
+  concurrency = 4,
+  quotaDelay = 60000,
+  maxQuotaPauses = 3,
+  logger = console,
+  emitter,
+  ...options
+}) {
+  if (!(concurrency >= 1)) {
+    return Promise.reject(new ServiceError(412, `concurrency should be 1 or more`));
+  }
+  logger = logger || SILENT_LOGGER;
+  const summaries = [];
+  // in the order of the targets, one queue per account
+  const queues = targets.reduce((r, target, idx) => {
+    const queue = r.find(({ accountId }) => accountId === target.accountId);
+    const task = { idx, target, pauses: 0, changes: 0 };
+    if (queue) queue.tasks.push(task);
+    return queue
+      ? r
+      : r.concat({ accountId: target.accountId, tasks: [task], resumeAt: 0, pauses: 0 });
+  }, []);
+  let running = 0;
+  let timer;
+  let resolve;
+
+  return new Promise((resolveAll) => {
+    resolve = resolveAll;
+    next();
   });
-}
 
-function filterMax(result, item) {
-  if (!result || +result[1] < +item[1]) return item;
-  return result;
+  /**
+   * Start the targets of the accounts which are not paused while there are free slots.
+   * When all the accounts with waiting targets are paused, wait for the first one to resume.
+   */
+  function next() {
+    clearTimeout(timer);
+    const now = Date.now();
+    let queue;
+    while (running < concurrency && (queue = readyQueue(now))) {
+      start(queue, queue.tasks.shift());
+    }
+    const waiting = queues.filter(({ tasks }) => tasks.length > 0);
+    if (running === 0 && waiting.length === 0) return resolve(summaries);
+    if (running < concurrency && waiting.length > 0) {
+      const resumeAt = Math.min(...waiting.map(({ resumeAt }) => resumeAt));
+      timer = setTimeout(next, Math.max(resumeAt - now, 0));
+    }
+    return undefined;
+  }
+
+  function readyQueue(now) {
+    return queues.find(({ tasks, resumeAt }) => tasks.length > 0 && resumeAt <= now);
+  }
+
+  function start(queue, task) {
+    const { accountId, webPropertyId } = task.target;
+    const failed = (error) => {
+      logger.error(`failed to make ${webPropertyId || accountId}: ${error && error.message}`);
+      summaries[task.idx] = {
+        accountId,
+        webPropertyId,
+        status: 'failed',
+        changes: task.changes,
+        error
+      };
+    };
+    running = running + 1;
+    Promise.resolve()
+      .then(() => (typeof template === 'function' ? template(task.target) : template))
+      .then((definition) =>
+        make({
+          ...options,
+          oauth2Client,
+          referenceObject: referenceObjectOf(definition, task.target),
+          logger,
+          emitter: {
+            emit: (event, payload) => {
+              // kept on the task, the writes before a quota pause count too
+              if (event === 'operation:success') task.changes = task.changes + 1;
+              if (emitter) emitter.emit(event, payload);
+            }
+          }
+        })
+      )
+      .then(
+        (result) => {
+          if (options.dryRun) {
+            task.changes = result.filter(({ action }) => action !== 'noop').length;
+          }
+          summaries[task.idx] = {
+            accountId,
+            webPropertyId,
+            status: task.changes > 0 ? 'changed' : 'unchanged',
+            changes: task.changes,
+            result
+          };
+        },
+        (error) => {
+          if (!isQuotaError(error) || task.pauses >= maxQuotaPauses) return failed(error);
+          const delay = quotaDelay * Math.pow(2, queue.pauses);
+          task.pauses = task.pauses + 1;
+          queue.pauses = queue.pauses + 1;
+          queue.resumeAt = Math.max(queue.resumeAt, Date.now() + delay);
+          queue.tasks.unshift(task);
+          logger.warn(`pause ${accountId} for ${delay}ms: ${error.message}`);
+          if (emitter) emitter.emit('account:paused', { accountId, webPropertyId, delay, error });
+          return undefined;
+        }
+      )
+      .catch(failed)
+      .then(() => {
+        running = running - 1;
+        next();
+      });
+  }
 }
 
-function filterValidDomains(result, item) {
-  if (isValidDomain(item[0])) result.push(item);
-  return result;
+/**
+ * Copy of the reference definition for the target.
+ */
+function referenceObjectOf(definition, target) {
+  const json = typeof definition.toJson === 'function' ? definition.toJson() : definition;
+  return retargetReferenceObject(JSON.parse(JSON.stringify(json)), target);
 }
 
-function isValidDomain(name) {
-  if (name === 'localhost') return false;
-  return /\b((?=[a-z0-9-]{1,63}\.)(xn--)?[a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,63}\b/.test(name);
+function isQuotaError(error) {
+  if (!error || typeof error !== 'object' || error.retryable === false) return false;
+  return statusCodeOf(error) === 429 || !!~QUOTA_REASONS.indexOf(reasonOf(error));
 }
 
-function count({ pages }) {
-  return pages.length;
+/**
+ * Export the published configuration of a web property into a reference object.
+ * Web property, custom dimensions and metrics in index order, views with their goals and
+ * filters in rank order are read, the ids are kept. The result can be stored as json and
+ * applied to another property with makeMany(), or with make() after {@link retargetReferenceObject}.
+ * @param query
+ * @param query.from { FromWebProperty }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.accountId { string } the id of account in GA
+ * @param query.from.webPropertyId { string } the id of webProperty in GA
+ * @returns {Promise}
+ * @fulfil {{ from: FromWebProperty, referenceObject: ReferenceObject }} - pass down reference object along with the origin
+ */
+function exportReferenceObject({ from }) {
+  const { accountId } = from;
+  const referenceObject = new ReferenceObject();
+  const byIndex = (a, b) => a.index - b.index;
+  let existingFilters = [];
+  referenceObject.account({ accountId });
+
+  return getWebProperty({ from })
+    .then(({ webProperty }) => referenceObject.webProperty(webProperty))
+    .then(() => getMetrics({ from }))
+    .then(({ metrics = [] }) => referenceObject.customMetrics([...metrics].sort(byIndex)))
+    .then(() => getDimensions({ from }))
+    .then(({ dimensions = [] }) => referenceObject.customDimensions([...dimensions].sort(byIndex)))
+    .then(() => getFilters({ from }))
+    .then(({ filters = [] }) => (existingFilters = filters))
+    .then(() => getViews({ from }))
+    .then(({ views = [] }) =>
+      views.reduce((nextView, view) => {
+        const fromView = { ...from, profileId: view.id };
+        let goals;
+        return nextView
+          .then(() => getGoals({ from: fromView }))
+          .then(({ goals: viewGoals = [] }) => (goals = viewGoals))
+          .then(() => getProfileFilterLinks({ from: fromView }))
+          .then(({ filterLinks = [] }) => {
+            const filters = [...filterLinks]
+              .sort((a, b) => a.rank - b.rank)
+              .map(({ filterRef }) => existingFilters.find(({ id }) => id === filterRef.id))
+              .filter((filter) => !!filter);
+            referenceObject.view(view, goals, filters);
+          });
+      }, Promise.resolve())
+    )
+    .then(() => ({ from, referenceObject }));
 }
 
-function falseOnError(err) {
-  return Promise.resolve(false);
+/**
+ * Point the reference object to another web property.
+ * The ids of the other property mean nothing there, so the views are matched by uniqueKey or
+ * name, custom dimensions and metrics by index or name. The ids of the filters are kept within
+ * the same account, filters belong to the account. Goal ids are kept, they are the slots of the view.
+ * A reference object which names no web property, e.g. a template, keeps its ids.
+ * @example
+ * make({ oauth2Client, referenceObject: retargetReferenceObject(snapshot, { accountId, webPropertyId }) })
+ * @param referenceObject { object } the reference object, e.g. of {@link exportReferenceObject}
+ * @param target
+ * @param target.accountId { string } the id of account in GA
+ * @param target.webPropertyId { string } the id of webProperty in GA, a new property when undefined
+ * @returns {object} - the new reference object
+ */
+function retargetReferenceObject(referenceObject, { accountId, webPropertyId }) {
+  const { webProperty = {}, customDimensions, customMetrics, views } = referenceObject;
+  const sourceId = referenceObject.webPropertyId || webProperty.id;
+  // a template which names no property is written for the target
+  const sameProperty = !sourceId || `${sourceId}` === `${webPropertyId}`;
+  const sameAccount =
+    !referenceObject.accountId || `${referenceObject.accountId}` === `${accountId}`;
+  const withoutId = ({ id, ...resource }) => resource;
+  const retargeted = compact({
+    ...referenceObject,
+    accountId,
+    webPropertyId,
+    webProperty: compact({ ...webProperty, id: webPropertyId })
+  });
+  if (sameProperty) return retargeted;
+  return compact({
+    ...retargeted,
+    customDimensions: customDimensions && customDimensions.map(withoutId),
+    customMetrics: customMetrics && customMetrics.map(withoutId),
+    views:
+      views &&
+      views.map(({ view = {}, profileId, filters, ...entry }) =>
+        compact({
+          ...entry,
+          view: withoutId(view),
+          filters: filters && (sameAccount ? filters : filters.map(withoutId))
+        })
+      )
+  });
 }
 
-function denormalizeSiteName(siteName) {
-  const normalizedName = normalizeSiteName(siteName);
-  return [
-    `http://${normalizedName}`,
-    `https://${normalizedName}`,
-    `http://www.${normalizedName}`,
-    `https://www.${normalizedName}`
-  ];
+/**
+ * Load a reference object from a JSON or YAML template, with variables, `extends` and fragments,
+ * see {@link loadTemplate}. The template is read from `file`, or from `source` when there is no file.
+ * @example
+ * loadReferenceObject({ file: 'clients/acme.yaml', variables: { currency: 'EUR' } })
+ *   .then(({ referenceObject }) => make({ oauth2Client, referenceObject: referenceObject.toJson() }))
+ * @param options
+ * @param options.file { string } path of the template, .json, .yaml or .yml
+ * @param options.source { string } the template
+ * @param options.format { string } json or yaml, format of the source
+ * @param options.basedir { string } directory `extends` of the source is relative to
+ * @param options.variables { object } values of the variables
+ * @returns {Promise}
+ * @fulfil {{ referenceObject: ReferenceObject }} - pass down the reference object
+ */
+function loadReferenceObject({ file, source, format, basedir, variables }) {
+  const template = file
+    ? loadTemplate({ file, variables })
+    : parseTemplate({ source, format, basedir, variables });
+  return template.then(
+    ({ accountId, webPropertyId, webProperty, customDimensions, customMetrics, ...definition }) => {
+      const referenceObject = new ReferenceObject();
+      if (accountId) referenceObject.account({ accountId });
+      if (webProperty || webPropertyId) {
+        referenceObject.webProperty({ webPropertyId, ...webProperty });
+      }
+      if (customDimensions) referenceObject.customDimensions(customDimensions);
+      if (customMetrics) referenceObject.customMetrics(customMetrics);
+      (definition.views || []).forEach(({ view = {}, goals, filters, users }) =>
+        referenceObject.view(view, goals, filters, users)
+      );
+      if (definition.accountUsers) referenceObject.users(definition.accountUsers, 'account');
+      if (definition.webPropertyUsers) {
+        referenceObject.users(definition.webPropertyUsers, 'webProperty');
+      }
+      return { referenceObject };
+    }
+  );
 }
-function normalizeSiteName(siteName) {
-  return siteName.replace(/^https?\:\/\//, '').replace(/^www\./, '');
+
+/**
+ * Report the drift between the reference object and the published configuration.
+ * Web property, custom dimensions and metrics, views with their goals and filters are compared
+ * field by field. Declared resources which are not published are reported as missing,
+ * published resources which are not declared as extra (path refers to the published position).
+ * @param options
+ * @param options.oauth2Client { object } authenticated client
+ * @param options.referenceObject { object } the desired configuration, see {@link ReferenceObject}
+ * @returns {Promise}
+ * @fulfil {Array.<Drift>} - the list of differences
+ */
+function diff({ oauth2Client, referenceObject }) {
+  const { accountId, webPropertyId } = referenceObject;
+  if (!accountId || !webPropertyId) {
+    return Promise.reject(new ServiceError(412, `accountId and webPropertyId should be defined`));
+  }
+  return exportReferenceObject({ from: { oauth2Client, accountId, webPropertyId } }).then(
+    ({ referenceObject: published }) => diffReferenceObjects(referenceObject, published.toJson())
+  );
 }
 
-function yyyymmdd(date) {
-  var mm = date.getMonth() + 1; // getMonth() is zero-based
-  var dd = date.getDate();
+function diffReferenceObjects(expected, actual) {
+  return [].concat(
+    diffObjects(omit(expected.webProperty || {}, 'uniqueKey'), actual.webProperty, 'webProperty'),
+    diffCustoms('customMetrics', expected.customMetrics, actual.customMetrics),
+    diffCustoms('customDimensions', expected.customDimensions, actual.customDimensions),
+    diffResources('views', expected.views, actual.views, matchView, (e, a, path) =>
+      [].concat(
+        diffObjects(omit(e.view, 'uniqueKey', 'profileId'), a.view, `${path}.view`),
+        diffResources(`${path}.goals`, e.goals, a.goals, matchGoal),
+        diffResources(`${path}.filters`, e.filters, a.filters, matchFilter)
+      )
+    )
+  );
+
+  function matchView({ view: e }, { view: a }) {
+    if (e.id) return String(e.id) === String(a.id);
+    if (e.uniqueKey) return e[e.uniqueKey] === a[e.uniqueKey];
+    return e.name === a.name;
+  }
+  function matchGoal(e, a, idx, publishedIdx) {
+    if (e.id) return String(e.id) === String(a.id);
+    if (e.name) return e.name === a.name;
+    return idx === publishedIdx;
+  }
+  function matchFilter(e, a) {
+    if (e.id) return e.id === a.id;
+    return e[e.uniqueKey || 'name'] === a[e.uniqueKey || 'name'];
+  }
+}
 
-  return [date.getFullYear(), (mm > 9 ? '' : '0') + mm, (dd > 9 ? '' : '0') + dd].join('-');
+/**
+ * Match declared resources with the published ones and compare the matched pairs.
+ * Nothing is reported if the resources are not declared at all.
+ */
+function diffResources(path, expected, actual = [], match, compare) {
+  if (!expected) return [];
+  const matched = [];
+  const pairs = expected.map((e, idx) => {
+    const publishedIdx = actual.findIndex(
+      (a, aIdx) => !~matched.indexOf(aIdx) && match(e, a, idx, aIdx)
+    );
+    if (~publishedIdx) matched.push(publishedIdx);
+    return publishedIdx;
+  });
+  return diffPairs(path, expected, actual, pairs, compare);
 }
 
-function parseGoogleDate(dateString) {
-  const date = new Date(
-    +dateString.substr(0, 4),
-    +dateString.substr(4, 2) - 1,
-    +dateString.substr(6, 2)
+/**
+ * Custom metrics and dimensions are matched as make() does: by the declared index or the index
+ * of the declared id first, then by name among the published ones no definition declares.
+ */
+function diffCustoms(path, expected, actual = []) {
+  if (!expected) return [];
+  const declared = expected.map(declaredIndexOf);
+  const claimed = declared.filter((index) => !!index);
+  const pairs = declared.map(
+    (index, idx) =>
+      index && declared.indexOf(index) === idx ? actual.findIndex((a) => +a.index === index) : -1
   );
-  return `${date.getDate()} ${monthNames[date.getMonth()]}`;
+  expected.forEach((e, idx) => {
+    if (declared[idx]) return;
+    pairs[idx] = actual.findIndex(
+      (a, aIdx) => a.name === e.name && !~claimed.indexOf(+a.index) && !~pairs.indexOf(aIdx)
+    );
+  });
+  return diffPairs(path, expected, actual, pairs);
 }
-*/
 
-function reportPagination({ options, data = [], startIndex = 0, maxResults = 1000 }) {
-  return analytics.data.ga
-    .get(
-      Object.assign(options, {
-        'start-index': startIndex,
-        'max-results': maxResults
-      })
+/**
+ * Drifts of the pairs, the index of the published resource of each declared one, -1 when missing.
+ */
+function diffPairs(path, expected, actual, pairs, compare) {
+  compare = compare || ((e, a, itemPath) => diffObjects(omit(e, 'uniqueKey'), a, itemPath));
+  return expected
+    .reduce(
+      (r, e, idx) =>
+        ~pairs[idx]
+          ? r.concat(compare(e, actual[pairs[idx]], `${path}[${idx}]`))
+          : r.concat(drift('missing', `${path}[${idx}]`, e, undefined)),
+      []
     )
-    .then((resp) => {
-      const nextData = data.concat(resp.data.rows || []);
-
-      // TODO: implement totalResults
-      if (resp.data.nextLink) {
-        return reportPagination({
-          options,
-          maxResults,
-          data: nextData,
-          startIndex: startIndex + maxResults
-        });
-      }
+    .concat(
+      actual.reduce(
+        (r, a, aIdx) =>
+          !~pairs.indexOf(aIdx) ? r.concat(drift('extra', `${path}[${aIdx}]`, undefined, a)) : r,
+        []
+      )
+    );
+}
 
-      return nextData;
-    });
+//TODO: function get predictedNumberOfUrls
+/**
+ * Get the hostnames the view received sessions on, ranked by sessions.
+ * localhost, IP addresses, (not set) and spam hostnames are filtered out.
+ * Optionally suggests a filter including only the hostnames with a noticeable share of sessions,
+ * so it can be added to the view with {@link ReferenceObject}.
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.lookbackDays { number } number of days to look back from today
+ * @param query.suggestFilter { boolean } add the suggested include filter
+ * @param query.minShare { number } 0..1, the least share of sessions of a hostname in the suggested filter
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, hostNames: Array.Object, filter: Object }} - pass down hostName and sessions of the hostnames along with the origin,
+ * filter is left out when no hostname can be included
+ */
+function getHostNames({ from, lookbackDays = 30, suggestFilter = false, minShare = 0.01 }) {
+  const { oauth2Client, profileId } = from;
+  const options = query()
+    .view(profileId)
+    .dateRange(`${lookbackDays}daysAgo`, 'today')
+    .metrics('sessions')
+    .dimensions('hostname')
+    .sort('-sessions')
+    .build({ oauth2Client });
+  return reportPagination({ options }).then((rows) => {
+    const hostNames = rows
+      .filter(([hostName]) => isValidDomain(hostName))
+      .map(([hostName, sessions]) => ({ hostName, sessions: +sessions }))
+      .sort((a, b) => b.sessions - a.sessions);
+    const filter = suggestFilter && hostNameFilter(hostNames, minShare);
+    return filter ? { from, hostNames, filter } : { from, hostNames };
+  });
+}
+
+/**
+ * Get the hostname with the most sessions, e.g. to fill websiteUrl of an existing property.
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.lookbackDays { number } number of days to look back from today
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, hostName: string }} - pass down the hostname, null if there are no sessions
+ */
+function getHostName({ from, lookbackDays }) {
+  return getHostNames({ from, lookbackDays }).then(({ hostNames }) => ({
+    from,
+    hostName: hostNames.length > 0 ? hostNames[0].hostName : null
+  }));
 }
 
-function pick(o, ...props) {
-  return Object.assign({}, ...props.map((prop) => o[prop] && { [prop]: o[prop] }));
+/**
+ * Include filter of PAGE_HOSTNAME, the expression fits the limit of 255 characters,
+ * the hostnames with less sessions are left out if it does not.
+ * null when nothing can be included, such a filter would drop all the hits of the view.
+ */
+function hostNameFilter(hostNames, minShare) {
+  const total = hostNames.reduce((r, { sessions }) => r + sessions, 0);
+  let included = hostNames
+    .filter(({ sessions }) => sessions >= total * minShare)
+    .map(({ hostName }) => hostName.replace(/\./g, '\\.'));
+  while (included.length > 0 && `^(${included.join('|')})$`.length > 255) {
+    included = included.slice(0, -1);
+  }
+  if (included.length === 0) return null;
+  return {
+    name: 'Include valid hostnames',
+    type: 'INCLUDE',
+    includeDetails: {
+      field: 'PAGE_HOSTNAME',
+      matchType: 'MATCHES',
+      expressionValue: `^(${included.join('|')})$`,
+      caseSensitive: false
+    }
+  };
+}
+
+function isValidDomain(name) {
+  name = `${name}`.toLowerCase();
+  if (name === 'localhost') return false;
+  if (SPAM_HOSTNAMES.some((spam) => spam.test(name))) return false;
+  return /^((?=[a-z0-9-]{1,63}\.)(xn--)?[a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,63}$/.test(name);
 }
 
 module.exports = {
@@ -1276,15 +2713,70 @@ module.exports = {
   getViews: backOff(getViews),
   getView: backOff(getView),
   insertView: backOff(insertView),
+  deleteView: backOff(deleteView),
   getGoals: backOff(getGoals),
   insertGoal: backOff(insertGoal),
-  reportPagination: backOff(reportPagination),
-
+  getFilters: backOff(getFilters),
+  insertFilter: backOff(insertFilter),
+  patchFilter: backOff(patchFilter),
+  deleteFilter: backOff(deleteFilter),
+  getProfileFilterLinks: backOff(getProfileFilterLinks),
+  insertProfileFilterLink: backOff(insertProfileFilterLink),
+  patchProfileFilterLink: backOff(patchProfileFilterLink),
+  deleteProfileFilterLink: backOff(deleteProfileFilterLink),
+  getAccountUserLinks: backOff(getAccountUserLinks),
+  insertAccountUserLink: backOff(insertAccountUserLink),
+  updateAccountUserLink: backOff(updateAccountUserLink),
+  deleteAccountUserLink: backOff(deleteAccountUserLink),
+  getWebPropertyUserLinks: backOff(getWebPropertyUserLinks),
+  insertWebPropertyUserLink: backOff(insertWebPropertyUserLink),
+  updateWebPropertyUserLink: backOff(updateWebPropertyUserLink),
+  deleteWebPropertyUserLink: backOff(deleteWebPropertyUserLink),
+  getProfileUserLinks: backOff(getProfileUserLinks),
+  insertProfileUserLink: backOff(insertProfileUserLink),
+  updateProfileUserLink: backOff(updateProfileUserLink),
+  deleteProfileUserLink: backOff(deleteProfileUserLink),
+  iterate: iterate,
+  reportPagination: reportPagination,
+  typedReport: typedReport,
+  iterateReport: iterateReport,
+  reportStream: reportStream,
+  unsampledReport: unsampledReport,
+  getRealtime: backOff(getRealtime),
+  getMcf: backOff(getMcf),
+  batchGetReports: batchGetReports,
+  typedRows: typedRows,
+  typedTotals: typedTotals,
+  writeRows: writeRows,
+  Query: Query,
+  query: query,
+
+  getSites: backOff(getSites),
+  querySearchAnalytics: backOff(querySearchAnalytics),
+  getSitemaps: backOff(getSitemaps),
+  submitSitemap: backOff(submitSitemap),
+  deleteSitemap: backOff(deleteSitemap),
+  resolveSiteUrl: backOff(resolveSiteUrl),
+
+  CUSTOM_DEFINITION_LIMITS: CUSTOM_DEFINITION_LIMITS,
+  GOAL_LIMITS: GOAL_LIMITS,
+  GOAL_TYPES: GOAL_TYPES,
+  validate: validate,
   ReferenceObject: ReferenceObject,
   make: make,
-  //getHostName: backOff(getHostName),
-  //getHostNames: backOff(getHostNames),
-  backOff: backOff
+  plan: plan,
+  makeMany: makeMany,
+  exportReferenceObject: backOff(exportReferenceObject),
+  retargetReferenceObject: retargetReferenceObject,
+  loadReferenceObject: loadReferenceObject,
+  loadTemplate: loadTemplate,
+  parseTemplate: parseTemplate,
+  diff: diff,
+  getHostName: backOff(getHostName),
+  getHostNames: backOff(getHostNames),
+  backOff: backOff,
+  runBatch: runBatch,
+  quotaGovernor: governor
 };
 
 /**
@@ -1316,3 +2808,29 @@ module.exports = {
  *  @property {string} webPropertyId - webPropertyId
  *  @property {string} profileId - profileId
  */
+
+/**
+ *  @typedef Operation
+ *  @type {object}
+ *  @property {string} action - insert, patch, update, delete or noop
+ *  @property {string} type - webProperty, customMetric, customDimension, view, goal, filter, filterLink,
+ *  accountUserLink, webPropertyUserLink or profileUserLink
+ *  @property {string} id - id of the published resource, undefined for insert
+ *  @property {string} accountId - accountId
+ *  @property {string} webPropertyId - webPropertyId
+ *  @property {string} profileId - profileId of the view the resource belongs to
+ *  @property {object} current - published resource
+ *  @property {object} desired - resource from the reference object
+ *  @property {boolean} prune - the resource is not declared, it is deleted or deactivated
+ */
+
+/**
+ *  @typedef TargetSummary
+ *  @type {object}
+ *  @property {string} accountId - accountId of the target
+ *  @property {string} webPropertyId - webPropertyId of the target
+ *  @property {string} status - changed, unchanged or failed
+ *  @property {number} changes - number of the written operations, or of the planned ones on dryRun
+ *  @property {object|Array.<Operation>} result - the result of make() unless the target failed
+ *  @property {Error} error - the error of the failed target
+ */
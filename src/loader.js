@@ -0,0 +1,269 @@
+/**
+ * Templates of reference objects in JSON or YAML, with variables, inheritance and fragments.
+ * @module gamanip/loader
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ServiceError } = require('./errors');
+const { compact, isObject } = require('./utils');
+
+const VARIABLE_PATTERN = /\$\{([a-zA-Z_][a-zA-Z0-9_.]*)\}/g;
+const WHOLE_VARIABLE_PATTERN = /^\$\{([a-zA-Z_][a-zA-Z0-9_.]*)\}$/;
+
+/**
+ * How the arrays of a template are merged with the arrays of its base, by the path of the array.
+ * The items with the same key are deep merged, the other items of the template are appended.
+ * @kind constant
+ */
+const MERGE_KEYS = {
+  customDimensions: customKeyOf,
+  customMetrics: customKeyOf,
+  views: viewKeyOf,
+  'views.goals': ({ id, name }) => (id !== undefined ? `id:${id}` : name && `name:${name}`),
+  'views.filters': ({ id, uniqueKey = 'name', ...filter }) =>
+    id !== undefined ? `id:${id}` : `${uniqueKey}:${filter[uniqueKey]}`,
+  'views.users': emailKeyOf,
+  accountUsers: emailKeyOf,
+  webPropertyUsers: emailKeyOf
+};
+
+/**
+ * Load the template of a reference object from a JSON or YAML file.
+ * The template is the reference object, see {@link ReferenceObject}, with the additions:
+ * - `extends`: path of the base template, relative to the template. The template is deep merged
+ *   into the base: custom dimensions and metrics by index (or name), views by uniqueKey (or id
+ *   or name), goals by id or name, filters by uniqueKey, users by email. Other arrays are replaced.
+ *   An item with `$remove: true` removes the inherited item.
+ * - `variables`: default values of the variables, the values passed to the loader win.
+ *   `${name}` is replaced in all the strings, a string which is only `${name}` keeps the type of the value.
+ * - `fragments`: `{ goals: { signup: {...} }, filters: {...} }` reusable goals and filters,
+ *   used in the views as `{ $fragment: 'signup' }`, the other fields of the item override the fragment.
+ * @example
+ * loadTemplate({ file: 'clients/acme.yaml', variables: { websiteUrl: 'https://acme.com' } })
+ * @param options
+ * @param options.file { string } path of the template, .json, .yaml or .yml
+ * @param options.variables { object } values of the variables
+ * @returns {Promise}
+ * @fulfil {object} - the reference object definition
+ */
+function loadTemplate({ file, variables = {} }) {
+  return readTemplate(path.resolve(file), []).then((template) =>
+    resolveTemplate(template, variables)
+  );
+}
+
+/**
+ * Resolve the template given as a string, see {@link loadTemplate}.
+ * @param options
+ * @param options.source { string } the template
+ * @param options.format { string } json or yaml
+ * @param options.basedir { string } directory `extends` is relative to, the working directory by default
+ * @param options.variables { object } values of the variables
+ * @returns {Promise}
+ * @fulfil {object} - the reference object definition
+ */
+function parseTemplate({ source, format = 'yaml', basedir = process.cwd(), variables = {} }) {
+  return Promise.resolve()
+    .then(() => parse(source, format, '<source>'))
+    .then((template) => inherit(template, basedir, []))
+    .then((template) => resolveTemplate(template, variables));
+}
+
+function readTemplate(file, chain) {
+  if (~chain.indexOf(file)) {
+    return Promise.reject(
+      new ServiceError(412, `template extends itself: ${chain.concat(file).join(' > ')}`)
+    );
+  }
+  return new Promise((resolve, reject) =>
+    fs.readFile(file, 'utf8', (err, source) => {
+      if (err) return reject(new ServiceError(412, `cannot read template ${file}: ${err.message}`));
+      return resolve(source);
+    })
+  )
+    .then((source) => parse(source, /\.json$/i.test(file) ? 'json' : 'yaml', file))
+    .then((template) => inherit(template, path.dirname(file), chain.concat(file)));
+}
+
+/**
+ * Expand the fragments of the template, then merge it into its base template.
+ * The fragments of the base are inherited, so both the items of the base and the items of the
+ * template are expanded before they are matched. The items left with `$remove` match nothing,
+ * they are dropped.
+ */
+function inherit(template, basedir, chain) {
+  const { extends: base, ...rest } = template;
+  if (!base) return withoutRemoved(expand(rest));
+  return readTemplate(path.resolve(basedir, base), chain).then((baseTemplate) =>
+    withoutRemoved(
+      merge(
+        baseTemplate,
+        expand({ ...rest, fragments: merge(baseTemplate.fragments, rest.fragments, '') }),
+        ''
+      )
+    )
+  );
+}
+
+function parse(source, format, file) {
+  if (!~['json', 'yaml'].indexOf(format)) {
+    throw new ServiceError(412, `format should be json or yaml, got ${format}`);
+  }
+  try {
+    const template = format === 'json' ? JSON.parse(source) : yaml.safeLoad(source);
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error('template should be an object');
+    }
+    return template;
+  } catch (err) {
+    throw new ServiceError(412, `cannot parse template ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Replace the items of the views which use a fragment with the fragment, the other fields of the item
+ * override the fragment.
+ */
+function expand(template) {
+  const { views, fragments = {} } = template;
+  if (!views) return template;
+  const missing = [];
+  const expanded = {
+    ...template,
+    views: views.map((view, idx) =>
+      compact({
+        ...view,
+        goals: useFragments(view.goals, fragments.goals, `views[${idx}].goals`, missing),
+        filters: useFragments(view.filters, fragments.filters, `views[${idx}].filters`, missing)
+      })
+    )
+  };
+  if (missing.length > 0) {
+    throw new ServiceError(412, `invalid template: ${missing.join('; ')}`);
+  }
+  return expanded;
+}
+
+function useFragments(items, fragments = {}, itemsPath, missing) {
+  if (!items) return items;
+  return items.map((item, idx) => {
+    if (!item || item.$fragment === undefined) return item;
+    const { $fragment: name, ...overrides } = item;
+    if (!fragments[name]) {
+      missing.push(`${itemsPath}[${idx}] uses unknown fragment ${name}`);
+      return item;
+    }
+    return merge(fragments[name], overrides, '');
+  });
+}
+
+/**
+ * Apply the variables, all the undefined variables are reported at once.
+ */
+function resolveTemplate(template, variables) {
+  const { variables: defaults = {}, fragments, ...definition } = template;
+  const missing = [];
+  const resolved = substitute(definition, { ...defaults, ...variables }, '', missing);
+  if (missing.length > 0) {
+    throw new ServiceError(412, `invalid template: ${missing.join('; ')}`);
+  }
+  return resolved;
+}
+
+function substitute(value, variables, valuePath, missing) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_VARIABLE_PATTERN);
+    if (whole) return variableOf(whole[1], variables, valuePath, missing, value);
+    return value.replace(VARIABLE_PATTERN, (match, name) =>
+      variableOf(name, variables, valuePath, missing, match)
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, idx) => substitute(item, variables, `${valuePath}[${idx}]`, missing));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce(
+      (r, key) => ({
+        ...r,
+        [key]: substitute(value[key], variables, valuePath ? `${valuePath}.${key}` : key, missing)
+      }),
+      {}
+    );
+  }
+  return value;
+}
+
+/**
+ * Value of the variable, dots read nested values, e.g. `${client.currency}`.
+ */
+function variableOf(name, variables, valuePath, missing, fallback) {
+  const value = name
+    .split('.')
+    .reduce((r, key) => (r === undefined || r === null ? undefined : r[key]), variables);
+  if (value === undefined) {
+    missing.push(`${valuePath} uses undefined variable ${name}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Deep merge the template into the base, arrays are merged by the keys of {@link MERGE_KEYS}.
+ */
+function merge(base, template, mergePath) {
+  if (template === undefined) return base;
+  if (Array.isArray(base) && Array.isArray(template) && MERGE_KEYS[mergePath]) {
+    return mergeArrays(base, template, MERGE_KEYS[mergePath], mergePath);
+  }
+  if (isObject(base) && isObject(template)) {
+    return Object.keys(template).reduce(
+      (r, key) => ({
+        ...r,
+        [key]: merge(base[key], template[key], mergePath ? `${mergePath}.${key}` : key)
+      }),
+      { ...base }
+    );
+  }
+  return template;
+}
+
+function mergeArrays(base, template, keyOf, mergePath) {
+  return template.reduce((items, item) => {
+    const key = keyOf(item);
+    const idx = key ? items.findIndex((baseItem) => keyOf(baseItem) === key) : -1;
+    if (item.$remove) return ~idx ? items.filter((baseItem, i) => i !== idx) : items;
+    if (!~idx) return items.concat(item);
+    return items.map((baseItem, i) => (i === idx ? merge(baseItem, item, mergePath) : baseItem));
+  }, base);
+}
+
+/**
+ * Drop the items marked with `$remove` and the marker itself at any depth.
+ */
+function withoutRemoved(value) {
+  if (Array.isArray(value)) {
+    return value.filter((item) => !isObject(item) || !item.$remove).map(withoutRemoved);
+  }
+  if (!isObject(value)) return value;
+  return Object.keys(value).reduce(
+    (r, key) => (key === '$remove' ? r : { ...r, [key]: withoutRemoved(value[key]) }),
+    {}
+  );
+}
+
+function customKeyOf({ index, name }) {
+  return index !== undefined ? `index:${index}` : name && `name:${name}`;
+}
+
+function viewKeyOf({ view = {} }) {
+  if (view.uniqueKey) return `${view.uniqueKey}:${view[view.uniqueKey]}`;
+  if (view.id !== undefined) return `id:${view.id}`;
+  return view.name && `name:${view.name}`;
+}
+
+function emailKeyOf({ email }) {
+  return email && `${email}`.toLowerCase();
+}
+
+module.exports = { MERGE_KEYS, loadTemplate, parseTemplate };
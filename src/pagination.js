@@ -0,0 +1,115 @@
+/**
+ * Pagination of Management API lists.
+ * @module gamanip/pagination
+ */
+const { backOff } = require('./backOff');
+
+/**
+ * The largest page the Management API returns.
+ * @kind constant
+ */
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Read all the pages of the list.
+ * The pages are followed with start-index and max-results while the response has nextLink
+ * and there are less items than totalResults.
+ * @param list { Function } reads a page, gets `{ 'start-index', 'max-results' }` and resolves with google response
+ * @param options
+ * @param options.pageSize { number } max-results of each page
+ * @param options.maxItems { number } stop reading when there are that many items
+ * @returns {Promise}
+ * @fulfil {Array.Object} - items of all the pages
+ */
+function listAll(list, { pageSize = DEFAULT_PAGE_SIZE, maxItems = Infinity } = {}) {
+  return next([]);
+
+  function next(items) {
+    const maxResults = Math.min(pageSize, maxItems - items.length);
+    return readPage(list, items.length, maxResults).then(({ items: pageItems, more }) => {
+      const all = items.concat(pageItems);
+      if (!more || all.length >= maxItems) return all.slice(0, maxItems);
+      return next(all);
+    });
+  }
+}
+
+/**
+ * Lazily iterate the items of the list. A page is read only when the items of the previous one
+ * are consumed, each page is read with backOff.
+ * @example
+ * for await (const view of iterateList(read, { pageSize: 100 })) console.log(view.name);
+ * @param list { Function } reads a page, see {@link listAll}
+ * @param options
+ * @param options.pageSize { number } max-results of each page
+ * @param options.maxItems { number } stop when there were that many items
+ * @param options.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @param options.startIndex { number } the first item to read, 1 based, to resume an iteration
+ * @param options.onPage { Function } called with `{ startIndex, nextIndex, totalResults }` after each page is read
+ * @returns {AsyncIterable}
+ */
+function iterateList(
+  list,
+  { pageSize = DEFAULT_PAGE_SIZE, maxItems = Infinity, retryPolicy, startIndex = 1, onPage } = {}
+) {
+  const read = backOff(
+    ({ received }) =>
+      readPage(list, received, Math.min(pageSize, maxItems - (received - startIndex + 1))),
+    retryPolicy
+  );
+  return {
+    [Symbol.asyncIterator]() {
+      let buffer = [];
+      let received = startIndex - 1;
+      let yielded = 0;
+      let more = true;
+      const iterator = {
+        next() {
+          if (yielded >= maxItems) return Promise.resolve({ done: true, value: undefined });
+          if (buffer.length > 0) {
+            yielded = yielded + 1;
+            return Promise.resolve({ done: false, value: buffer.shift() });
+          }
+          if (!more) return Promise.resolve({ done: true, value: undefined });
+          return read({ received }).then((page) => {
+            buffer = page.items;
+            if (onPage) {
+              onPage({
+                startIndex: received + 1,
+                nextIndex: received + page.items.length + 1,
+                totalResults: page.totalResults
+              });
+            }
+            received = received + page.items.length;
+            more = page.more;
+            return iterator.next();
+          });
+        },
+        return() {
+          more = false;
+          buffer = [];
+          return Promise.resolve({ done: true, value: undefined });
+        }
+      };
+      return iterator;
+    }
+  };
+}
+
+/**
+ * Read the page following the received items.
+ */
+function readPage(list, received, maxResults) {
+  return list({ 'start-index': received + 1, 'max-results': maxResults }).then(({ data = {} }) => {
+    const items = data.items || [];
+    return { items, more: hasMore(data, received + items.length), totalResults: data.totalResults };
+  });
+}
+
+function hasMore({ items = [], nextLink, totalResults }, received) {
+  if (items.length === 0) return false;
+  if (totalResults !== undefined) return received < totalResults;
+  return !!nextLink;
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, listAll, iterateList };
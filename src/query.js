@@ -0,0 +1,284 @@
+/**
+ * Validated builder of Core Reporting API queries.
+ * @module gamanip/query
+ */
+const { ServiceError } = require('./errors');
+const { compact } = require('./utils');
+
+/**
+ * Limits of a Core Reporting API query.
+ * @kind constant
+ */
+const QUERY_LIMITS = {
+  metrics: 10,
+  dimensions: 7
+};
+
+/**
+ * Filter operators of metrics and dimensions.
+ * @kind constant
+ */
+const FILTER_OPERATORS = {
+  metric: ['==', '!=', '>', '<', '>=', '<='],
+  dimension: ['==', '!=', '=@', '!@', '=~', '!~']
+};
+
+const SAMPLING_LEVELS = ['DEFAULT', 'FASTER', 'HIGHER_PRECISION'];
+
+const NAME_PATTERN = /^ga:[a-zA-Z][a-zA-Z0-9]*$/;
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}|today|yesterday|\d+daysAgo)$/;
+// longer operators first, so `>=` is not read as `>`
+const OPERATOR_PATTERN = /^(ga:[a-zA-Z0-9]+)(==|!=|>=|<=|=@|!@|=~|!~|>|<)(.*)$/;
+
+/**
+ * Fluent builder of the options of `data.ga.get`, see {@link reportPagination}.
+ * Names can be given with or without `ga:` prefix. Conditions passed to one filter() call are
+ * joined with OR, the filter() calls are joined with AND.
+ * All the problems are reported at once by build() as ServiceError(412).
+ * @example
+ * query()
+ *   .view(123)
+ *   .dateRange('30daysAgo', 'yesterday')
+ *   .metrics('sessions', 'pageviews')
+ *   .dimensions('pagePath')
+ *   .filter(['pagePath', '=~', '^/blog'], ['pagePath', '=@', 'news'])
+ *   .filter(['sessions', '>', 10])
+ *   .sort('-sessions')
+ *   .build({ oauth2Client });
+ * @param query { object } initial values, see the methods. `filters` is the list of the filter()
+ * calls, each one is the array of its conditions, or one condition
+ * @constructor
+ */
+function Query(query = {}) {
+  let ids;
+  let startDate;
+  let endDate;
+  let metrics = [];
+  let dimensions = [];
+  let filters = [];
+  let sort = [];
+  let segment;
+  let samplingLevel;
+
+  /**
+   * The view to query.
+   * @param profileId { string|number } id of the view, `ga:` prefix is optional
+   * @returns {Query}
+   */
+  this.view = (profileId) => {
+    ids = /^ga:/.test(profileId) ? `${profileId}` : `ga:${profileId}`;
+    return this;
+  };
+
+  /**
+   * Dates are YYYY-MM-DD, today, yesterday, NdaysAgo or Date objects.
+   * @param start { string|Date }
+   * @param end { string|Date }
+   * @returns {Query}
+   */
+  this.dateRange = (start, end) => {
+    startDate = toDate(start);
+    endDate = toDate(end);
+    return this;
+  };
+
+  /**
+   * @param names { ...string } metrics to add
+   * @returns {Query}
+   */
+  this.metrics = (...names) => {
+    metrics = metrics.concat(flatten(names).map(prefixed));
+    return this;
+  };
+
+  /**
+   * @param names { ...string } dimensions to add
+   * @returns {Query}
+   */
+  this.dimensions = (...names) => {
+    dimensions = dimensions.concat(flatten(names).map(prefixed));
+    return this;
+  };
+
+  /**
+   * Add a group of conditions joined with OR, groups are joined with AND.
+   * A condition is `[name, operator, value]`, `{ name, operator, value }`
+   * or a string in the filter syntax, e.g. `ga:pagePath=~^/blog`.
+   * Commas and semicolons of array and object values are escaped.
+   * @param conditions { ...Array|object|string }
+   * @returns {Query}
+   */
+  this.filter = (...conditions) => {
+    filters = filters.concat([conditions.map(toCondition)]);
+    return this;
+  };
+
+  /**
+   * Sort by metrics or dimensions of the query, `-` prefix sorts descending.
+   * @param names { ...string }
+   * @returns {Query}
+   */
+  this.sort = (...names) => {
+    sort = sort.concat(
+      flatten(names).map((name) => {
+        const descending = /^-/.test(name);
+        return { name: prefixed(name.replace(/^-/, '')), descending };
+      })
+    );
+    return this;
+  };
+
+  /**
+   * @param value { string|number } segment id (gaid::-1 or -1) or dynamic segment definition
+   * @returns {Query}
+   */
+  this.segment = (value) => {
+    segment = typeof value === 'number' || /^-?\d+$/.test(value) ? `gaid::${value}` : value;
+    return this;
+  };
+
+  /**
+   * @param level { string } DEFAULT, FASTER or HIGHER_PRECISION
+   * @returns {Query}
+   */
+  this.samplingLevel = (level) => {
+    samplingLevel = level;
+    return this;
+  };
+
+  /**
+   * Validate the query and build the options of `data.ga.get`.
+   * @param options
+   * @param options.oauth2Client { object } authenticated client, added as auth
+   * @returns {object}
+   */
+  this.build = ({ oauth2Client } = {}) => {
+    const found = validate();
+    if (found.length > 0) {
+      throw new ServiceError(412, `invalid query: ${found.join('; ')}`);
+    }
+    return compact({
+      auth: oauth2Client,
+      ids,
+      'start-date': startDate,
+      'end-date': endDate,
+      metrics: metrics.join(','),
+      dimensions: dimensions.length > 0 ? dimensions.join(',') : undefined,
+      filters: filters.length > 0 ? filters.map(toFilterGroup).join(';') : undefined,
+      sort:
+        sort.length > 0
+          ? sort.map(({ name, descending }) => `${descending ? '-' : ''}${name}`).join(',')
+          : undefined,
+      segment,
+      samplingLevel
+    });
+  };
+
+  function validate() {
+    const found = [];
+    if (!ids) found.push('view is not defined');
+    if (!startDate || !endDate) found.push('date range is not defined');
+    [startDate, endDate]
+      .filter((date) => date && !DATE_PATTERN.test(date))
+      .forEach((date) => found.push(`invalid date ${date}`));
+    if (isAbsolute(startDate) && isAbsolute(endDate) && startDate > endDate) {
+      found.push(`start date ${startDate} is after end date ${endDate}`);
+    }
+    if (metrics.length === 0) found.push('at least one metric is required');
+    if (metrics.length > QUERY_LIMITS.metrics) {
+      found.push(`${metrics.length} metrics, the limit is ${QUERY_LIMITS.metrics}`);
+    }
+    if (dimensions.length > QUERY_LIMITS.dimensions) {
+      found.push(`${dimensions.length} dimensions, the limit is ${QUERY_LIMITS.dimensions}`);
+    }
+    metrics
+      .concat(dimensions)
+      .filter((name) => !NAME_PATTERN.test(name))
+      .forEach((name) => found.push(`invalid name ${name}`));
+    metrics
+      .concat(dimensions)
+      .filter((name, idx, all) => all.indexOf(name) !== idx)
+      .forEach((name) => found.push(`${name} is duplicated`));
+    filters.forEach((group) =>
+      group.forEach(({ name, operator, invalid }) => {
+        if (invalid) return found.push(`invalid filter ${name}`);
+        if (!NAME_PATTERN.test(name)) return found.push(`invalid filter name ${name}`);
+        const operators = ~metrics.indexOf(name)
+          ? FILTER_OPERATORS.metric
+          : ~dimensions.indexOf(name)
+            ? FILTER_OPERATORS.dimension
+            : FILTER_OPERATORS.metric.concat(FILTER_OPERATORS.dimension);
+        if (!~operators.indexOf(operator)) found.push(`invalid operator ${operator} for ${name}`);
+        return found;
+      })
+    );
+    sort
+      .filter(({ name }) => !~metrics.indexOf(name) && !~dimensions.indexOf(name))
+      .forEach(({ name }) => found.push(`sort by ${name} which is not in the query`));
+    if (samplingLevel && !~SAMPLING_LEVELS.indexOf(samplingLevel)) {
+      found.push(`invalid sampling level ${samplingLevel}`);
+    }
+    return found;
+  }
+
+  function toCondition(condition) {
+    if (typeof condition === 'string') {
+      const match = condition.match(OPERATOR_PATTERN);
+      if (!match) return { name: condition, invalid: true };
+      return { name: match[1], operator: match[2], expression: match[3] };
+    }
+    const [name, operator, value] = Array.isArray(condition)
+      ? condition
+      : [condition.name, condition.operator, condition.value];
+    return { name: prefixed(`${name}`), operator, expression: escape(value) };
+  }
+
+  if (query.view) this.view(query.view);
+  if (query.startDate || query.endDate) this.dateRange(query.startDate, query.endDate);
+  if (query.metrics) this.metrics(query.metrics);
+  if (query.dimensions) this.dimensions(query.dimensions);
+  if (query.filters) {
+    query.filters.forEach(
+      (group) => (Array.isArray(group) ? this.filter(...group) : this.filter(group))
+    );
+  }
+  if (query.sort) this.sort(query.sort);
+  if (query.segment) this.segment(query.segment);
+  if (query.samplingLevel) this.samplingLevel(query.samplingLevel);
+  return this;
+}
+
+/**
+ * Start a query.
+ * @param initial { object } initial values, see {@link Query}
+ * @returns {Query}
+ */
+function query(initial) {
+  return new Query(initial);
+}
+
+function toFilterGroup(group) {
+  return group.map(({ name, operator, expression }) => `${name}${operator}${expression}`).join(',');
+}
+
+function prefixed(name) {
+  return /^ga:/.test(name) ? name : `ga:${name}`;
+}
+
+function escape(value) {
+  return `${value}`.replace(/([,;])/g, '\\$1');
+}
+
+function toDate(date) {
+  return date instanceof Date ? date.toISOString().slice(0, 10) : date;
+}
+
+function isAbsolute(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date);
+}
+
+function flatten(arr) {
+  return arr.reduce((r, item) => r.concat(item), []);
+}
+
+module.exports = { QUERY_LIMITS, FILTER_OPERATORS, Query, query };
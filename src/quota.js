@@ -0,0 +1,162 @@
+/**
+ * Client side quota governor for Management API limits.
+ * @module gamanip/quota
+ */
+const { ServiceError } = require('./errors');
+
+/**
+ * Default limits of the governor. They follow the default quota of a Google API project,
+ * raise them with configure() if the project has more.
+ * @kind constant
+ * @property queriesPerSecond { number } requests per second per quotaUser
+ * @property dailyRequests { number } requests per day for all the users
+ * @property dailyWritesPerProperty { number } insert, patch, update and delete requests per web property per day
+ */
+const DEFAULT_QUOTA_LIMITS = {
+  queriesPerSecond: 10,
+  dailyRequests: 50000,
+  dailyWritesPerProperty: 500
+};
+
+const READ_METHODS = ['list', 'get'];
+
+/**
+ * Token bucket per quotaUser and daily counters of requests and writes per web property.
+ * Requests over the QPS limit are delayed, requests over the daily budget are rejected early
+ * with ServiceError(429), which is never retried by backOff.
+ * @param limits { object } see {@link DEFAULT_QUOTA_LIMITS}
+ * @constructor
+ */
+function QuotaGovernor(limits = {}) {
+  limits = { ...DEFAULT_QUOTA_LIMITS, ...limits };
+  let buckets = {};
+  let day;
+  let requests;
+  let writes;
+  resetDay();
+
+  /**
+   * Wait for the tokens of quotaUser and count the requests.
+   * @param request
+   * @param request.quotaUser { string }
+   * @param request.webPropertyId { string } the property the writes are counted for
+   * @param request.write { boolean } whether the request changes anything
+   * @param request.count { number } number of requests, e.g. the parts of a batch
+   * @returns {Promise}
+   */
+  this.acquire = ({ quotaUser = 'default', webPropertyId, write = false, count = 1 }) => {
+    if (day !== today()) resetDay();
+    if (requests + count > limits.dailyRequests) {
+      return Promise.reject(
+        quotaError(`daily quota of ${limits.dailyRequests} requests would be exceeded`)
+      );
+    }
+    if (write && webPropertyId) {
+      const propertyWrites = writes[webPropertyId] || 0;
+      if (propertyWrites + count > limits.dailyWritesPerProperty) {
+        return Promise.reject(
+          quotaError(
+            `daily quota of ${
+              limits.dailyWritesPerProperty
+            } writes to ${webPropertyId} would be exceeded`
+          )
+        );
+      }
+      writes[webPropertyId] = propertyWrites + count;
+    }
+    requests = requests + count;
+    return new Promise((resolve) => setTimeout(resolve, reserve(quotaUser, count)));
+  };
+
+  /**
+   * Change the limits.
+   * @param newLimits { object } see {@link DEFAULT_QUOTA_LIMITS}
+   */
+  this.configure = (newLimits = {}) => {
+    limits = { ...limits, ...newLimits };
+    buckets = {};
+  };
+
+  /**
+   * Usage of the current day.
+   * @returns {{ day: string, requests: number, writes: object }}
+   */
+  this.usage = () => ({ day, requests, writes: { ...writes } });
+
+  /**
+   * Wrap google api resources, so every call goes through the governor.
+   * quotaUser defaults to the accountId of the request for all the calls.
+   * @param api { object } e.g. analytics.management
+   * @returns {object}
+   */
+  this.govern = (api) =>
+    new Proxy(api, {
+      get: (target, resourceName) => {
+        const resource = target[resourceName];
+        if (!resource || typeof resource !== 'object') return resource;
+        return new Proxy(resource, {
+          get: (resourceTarget, methodName) => {
+            const method = resourceTarget[methodName];
+            if (typeof method !== 'function') return method;
+            return (params = {}, ...rest) => {
+              const quotaUser = params.quotaUser || quotaUserOf(params);
+              return this.acquire({
+                quotaUser,
+                webPropertyId: params.webPropertyId,
+                write: !~READ_METHODS.indexOf(methodName)
+              }).then(() => method.call(resourceTarget, { ...params, quotaUser }, ...rest));
+            };
+          }
+        });
+      }
+    });
+
+  /**
+   * Reserve the tokens and return the delay in ms till they are available.
+   */
+  function reserve(quotaUser, count) {
+    const now = Date.now();
+    const bucket = buckets[quotaUser] || { tokens: limits.queriesPerSecond, updated: now };
+    bucket.tokens = Math.min(
+      limits.queriesPerSecond,
+      bucket.tokens + ((now - bucket.updated) / 1000) * limits.queriesPerSecond
+    );
+    bucket.updated = now;
+    bucket.tokens = bucket.tokens - count;
+    buckets[quotaUser] = bucket;
+    return bucket.tokens >= 0 ? 0 : Math.ceil((-bucket.tokens / limits.queriesPerSecond) * 1000);
+  }
+
+  function resetDay() {
+    day = today();
+    requests = 0;
+    writes = {};
+  }
+  return this;
+}
+
+/**
+ * quotaUser of the request, the account is the user of the quota unless it is set explicitly.
+ * @param origin { object } from or to of the request
+ * @returns {string}
+ */
+function quotaUserOf({ quotaUser, accountId } = {}) {
+  return quotaUser || (accountId && `${accountId}`) || undefined;
+}
+
+function quotaError(message) {
+  const error = new ServiceError(429, message);
+  error.retryable = false;
+  return error;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = {
+  DEFAULT_QUOTA_LIMITS,
+  QuotaGovernor,
+  quotaUserOf,
+  governor: new QuotaGovernor()
+};
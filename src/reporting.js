@@ -0,0 +1,572 @@
+/**
+ * Core Reporting, Real Time, Multi-Channel Funnels API v3 and Analytics Reporting API v4.
+ * @module gamanip/reporting
+ */
+const { Readable } = require('stream');
+const { google } = require('googleapis');
+const analytics = google.analytics('v3');
+const analyticsreporting = google.analyticsreporting('v4');
+const { ServiceError, errorHandler } = require('./errors');
+const { backOff } = require('./backOff');
+const { listAll, iterateList } = require('./pagination');
+const { quotaUserOf } = require('./quota');
+const { typedRows, typedTotals } = require('./rows');
+const { pick } = require('./utils');
+
+/**
+ * Limits of reports.batchGet.
+ * @kind constant
+ */
+const REPORTING_LIMITS = {
+  reportRequests: 5,
+  pageSize: 100000
+};
+
+const DEFAULT_PAGE_SIZE = 10000;
+
+/**
+ * Periods the date range of a sampled report is split into, from the longest to the shortest.
+ * @kind constant
+ */
+const SPLIT_PERIODS = ['month', 'week', 'day'];
+
+/**
+ * Metrics which can't be summed over date ranges even if their type is additive.
+ * @kind constant
+ */
+const NON_ADDITIVE_METRICS = [
+  'ga:users',
+  'ga:1dayUsers',
+  'ga:7dayUsers',
+  'ga:14dayUsers',
+  'ga:28dayUsers',
+  'ga:30dayUsers',
+  'ga:CPM',
+  'ga:CPC',
+  'ga:RPC'
+];
+
+/**
+ * Averages, ratios and rates, e.g. ga:avgSessionDuration or ga:revenuePerTransaction, are TIME or
+ * CURRENCY but they are not additive either.
+ * @kind constant
+ */
+const NON_ADDITIVE_PATTERN = /^ga:(avg[A-Z]|[a-zA-Z0-9]*(Per[A-Z]|Rate$|Ratio$))/;
+
+const ADDITIVE_TYPES = ['INTEGER', 'CURRENCY', 'TIME'];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read all the rows of a Core Reporting API query.
+ * The pages are followed while there are less rows than totalResults, each page is read with backOff.
+ * @param query
+ * @param query.options { object } options of `data.ga.get`, build them with {@link query}
+ * @param query.data { Array.Array } rows to prepend
+ * @param query.startIndex { number } the first row to read, 1 based
+ * @param query.maxResults { number } number of rows read per request
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @returns {Promise}
+ * @fulfil {Array.Array} - the rows
+ */
+function reportPagination({ options, data = [], startIndex = 1, maxResults = 1000, retryPolicy }) {
+  return readReport({ options, startIndex, maxResults, retryPolicy }).then(({ rows }) =>
+    data.concat(rows)
+  );
+}
+
+/**
+ * Read all the rows of a Core Reporting API query as objects keyed by column name,
+ * the values are converted by their dataType, see {@link typedRows}.
+ * @param query
+ * @param query.options { object } options of `data.ga.get`, build them with {@link query}
+ * @param query.maxResults { number } number of rows read per request
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @returns {Promise}
+ * @fulfil {{ columnHeaders: Array.Object, rows: Array.Object, totals: object, totalResults: number, containsSampledData: boolean }}
+ */
+function typedReport({ options, maxResults, retryPolicy }) {
+  return readReport({ options, maxResults, retryPolicy }).then((report) => ({
+    columnHeaders: report.columnHeaders || [],
+    rows: typedRows(report),
+    totals: typedTotals(report),
+    totalResults: report.totalResults,
+    containsSampledData: !!report.containsSampledData
+  }));
+}
+
+/**
+ * Lazily iterate the rows of a Core Reporting API query, a page is read with backOff only when
+ * the rows of the previous one are consumed, so the memory holds one page at most.
+ * To resume after a restart, pass nextIndex of the last page the consumer handled as startIndex.
+ * @example
+ * for await (const row of iterateReport({ options, onPage: ({ nextIndex }) => save(nextIndex) })) write(row);
+ * @param query
+ * @param query.options { object } options of `data.ga.get`, build them with {@link query}
+ * @param query.startIndex { number } the first row to read, 1 based
+ * @param query.maxResults { number } number of rows read per request
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @param query.onPage { Function } called with `{ startIndex, nextIndex, totalResults }` after each page is read
+ * @param query.typed { boolean } yield row objects, see {@link typedRows}
+ * @returns {AsyncIterable}
+ */
+function iterateReport({ options, startIndex = 1, maxResults = 1000, retryPolicy, onPage, typed }) {
+  return iterateList(
+    (page) =>
+      analytics.data.ga
+        .get({ ...options, ...page })
+        .then(({ data }) => ({ data: { ...data, items: typed ? typedRows(data) : data.rows } }))
+        .catch(errorHandler),
+    { pageSize: maxResults, startIndex, retryPolicy, onPage }
+  );
+}
+
+/**
+ * Object mode Readable stream of the rows of a Core Reporting API query, see {@link iterateReport}.
+ * Pages are read as the consumer reads the stream, errors are emitted as `error`.
+ * @example
+ * reportStream({ options }).pipe(toCsv).pipe(fs.createWriteStream('report.csv'));
+ * @param query the same as of {@link iterateReport}
+ * @returns {Readable}
+ */
+function reportStream(query) {
+  const iterator = iterateReport(query)[Symbol.asyncIterator]();
+  let reading = false;
+  const stream = new Readable({
+    objectMode: true,
+    read() {
+      if (reading) return;
+      reading = true;
+      pull();
+    },
+    destroy(error, callback) {
+      iterator.return().then(() => callback(error), callback);
+    }
+  });
+  return stream;
+
+  function pull() {
+    iterator.next().then(
+      ({ done, value }) => {
+        if (done) {
+          reading = false;
+          return stream.push(null);
+        }
+        if (stream.push(value)) return pull();
+        reading = false;
+        return false;
+      },
+      (error) => stream.destroy(error)
+    );
+  }
+}
+
+/**
+ * Read a Core Reporting API query avoiding sampled data.
+ * When the response contains sampled data, the date range is split into months, then
+ * sampled chunks into weeks and days, until each chunk is unsampled or the floor is reached.
+ * Rows of the chunks are merged by their dimensions, additive metrics are summed, values of
+ * non-additive ones (rates, averages, users) can't be merged, they are null and listed in nonAdditiveMetrics.
+ * Relative dates (today, yesterday, NdaysAgo) are resolved in UTC.
+ * @param query
+ * @param query.options { object } options of `data.ga.get`, build them with {@link query}
+ * @param query.floor { string } the shortest period to split into: month, week or day
+ * @param query.maxResults { number } number of rows read per request
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @returns {Promise}
+ * @fulfil {UnsampledReport}
+ */
+function unsampledReport({ options, floor = 'day', maxResults, retryPolicy }) {
+  const floorLevel = SPLIT_PERIODS.indexOf(floor);
+  if (floorLevel === -1) {
+    return Promise.reject(new ServiceError(412, `floor should be one of ${SPLIT_PERIODS}`));
+  }
+  const range = {
+    startDate: resolveDate(options['start-date']),
+    endDate: resolveDate(options['end-date'])
+  };
+  return readChunk(range, -1).then((chunks) => {
+    const { columnHeaders, rows, nonAdditiveMetrics } = mergeChunks(chunks);
+    const sampledChunks = chunks.filter(({ report }) => report.containsSampledData);
+    const sampleSize = sampledChunks.reduce((r, { report }) => r + +report.sampleSize, 0);
+    const sampleSpace = sampledChunks.reduce((r, { report }) => r + +report.sampleSpace, 0);
+    return {
+      columnHeaders,
+      rows,
+      totalResults: rows.length,
+      sampled: sampledChunks.length > 0,
+      samplingRatio: sampleSpace > 0 ? sampleSize / sampleSpace : 1,
+      nonAdditiveMetrics,
+      chunks: chunks.map(({ range: { startDate, endDate }, report }) => ({
+        startDate,
+        endDate,
+        sampled: !!report.containsSampledData
+      }))
+    };
+  });
+
+  function readChunk(chunkRange, level) {
+    const split = splitRange(chunkRange, level);
+    return readReport({
+      options: { ...options, 'start-date': chunkRange.startDate, 'end-date': chunkRange.endDate },
+      maxResults,
+      retryPolicy,
+      stopWhenSampled: !!split
+    }).then((report) => {
+      if (!split || !report.containsSampledData) return [{ range: chunkRange, report }];
+      return split.ranges.reduce(
+        (next, subRange) =>
+          next.then((chunks) =>
+            readChunk(subRange, split.level).then((subChunks) => chunks.concat(subChunks))
+          ),
+        Promise.resolve([])
+      );
+    });
+  }
+
+  /**
+   * Split the range into the next period which makes more than one chunk, false at the floor.
+   */
+  function splitRange(chunkRange, level) {
+    for (let next = level + 1; next <= floorLevel; next++) {
+      const ranges = splitBy(chunkRange, SPLIT_PERIODS[next]);
+      if (ranges.length > 1) return { ranges, level: next };
+    }
+    return false;
+  }
+}
+
+/**
+ * Get Real Time data of a view, e.g. active users by page and source.
+ * @example
+ * getRealtime({ from, query: { metrics: ['rt:activeUsers'], dimensions: ['rt:pagePath', 'rt:source'] } })
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.query { object } metrics, dimensions, filters, sort and maxResults, lists of names can be arrays
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, report: Report }} - pass down the report along with the origin
+ */
+function getRealtime({ from, query = {} }) {
+  const { oauth2Client: auth, profileId } = from;
+  const quotaUser = quotaUserOf(from);
+  return analytics.data.realtime
+    .get({ auth, quotaUser, ids: `ga:${profileId}`, ...toDataQuery(query) })
+    .then(({ data }) => ({ from, report: toReport(data, data.rows || []) }))
+    .catch(errorHandler);
+}
+
+/**
+ * Get Multi-Channel Funnels data of a view, e.g. assisted conversions and top conversion paths.
+ * All the pages are read. Conversion paths are normalized into strings like `Organic Search > Email > Direct`.
+ * @example
+ * getMcf({ from, query: { startDate: '30daysAgo', endDate: 'yesterday', metrics: ['mcf:totalConversions'], dimensions: ['mcf:basicChannelGroupingPath'] } })
+ * @param query
+ * @param query.from { FromProfile }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.profileId { string } the id of view in GA
+ * @param query.query { object } startDate, endDate, metrics, dimensions, filters, sort and samplingLevel
+ * @param query.pageSize { number } number of rows read per request
+ * @returns {Promise}
+ * @fulfil {{ from: FromProfile, report: Report }} - pass down the report along with the origin
+ */
+function getMcf({ from, query = {}, pageSize = DEFAULT_PAGE_SIZE }) {
+  const { oauth2Client: auth, profileId } = from;
+  const quotaUser = quotaUserOf(from);
+  let firstPage;
+  return listAll(
+    (page) =>
+      analytics.data.mcf
+        .get({ auth, quotaUser, ids: `ga:${profileId}`, ...toDataQuery(query), ...page })
+        .then(({ data }) => {
+          firstPage = firstPage || data;
+          return { data: { ...data, items: (data.rows || []).map(normalizeMcfRow) } };
+        }),
+    { pageSize }
+  )
+    .then((rows) => ({ from, report: toReport(firstPage, rows) }))
+    .catch(errorHandler);
+}
+
+/**
+ * Read all the rows of up to 5 report requests with reports.batchGet.
+ * The reports are paginated with pageToken, each page is read with backOff.
+ * Metrics and dimensions can be names, metrics can be expressions, e.g. `ga:goal1Completions/ga:users`.
+ * The rows have the shape of the v3 rows of {@link reportPagination}: the dimensions followed by
+ * the metric values of each date range and then the pivot values.
+ * @example
+ * batchGetReports({
+ *   oauth2Client,
+ *   reportRequests: [{
+ *     viewId: '123',
+ *     dateRanges: [{ startDate: '14daysAgo', endDate: '8daysAgo' }, { startDate: '7daysAgo', endDate: 'yesterday' }],
+ *     metrics: ['ga:sessions', { expression: 'ga:goalCompletionsAll/ga:sessions', alias: 'cr' }],
+ *     dimensions: ['ga:deviceCategory']
+ *   }]
+ * })
+ * @param query
+ * @param query.oauth2Client { object } authenticated client
+ * @param query.reportRequests { Array.Object } ReportRequest of the v4 API
+ * @param query.pageSize { number } number of rows read per request, 10000 by default
+ * @param query.retryPolicy { object } retry policy of the page reads, see {@link DEFAULT_RETRY_POLICY}
+ * @returns {Promise}
+ * @fulfil {Array.Array.Array} - the rows of each report request
+ */
+function batchGetReports({ oauth2Client, reportRequests = [], pageSize, retryPolicy }) {
+  if (reportRequests.length === 0 || reportRequests.length > REPORTING_LIMITS.reportRequests) {
+    return Promise.reject(
+      new ServiceError(
+        412,
+        `reportRequests should have 1 to ${REPORTING_LIMITS.reportRequests} requests, got ${
+          reportRequests.length
+        }`
+      )
+    );
+  }
+  const requests = reportRequests.map((request) => toReportRequest(request, pageSize));
+  const read = backOff(
+    (pending) =>
+      analyticsreporting.reports
+        .batchGet({
+          auth: oauth2Client,
+          resource: { reportRequests: pending.map(({ request }) => request) }
+        })
+        .then(({ data }) => data.reports || [])
+        .catch(errorHandler),
+    retryPolicy
+  );
+  const rows = requests.map(() => []);
+
+  return next(requests.map((request, idx) => ({ request, idx })));
+
+  function next(pending) {
+    if (pending.length === 0) return Promise.resolve(rows);
+    return read(pending).then((reports) =>
+      next(
+        reports.reduce((r, report, reportIdx) => {
+          const { request, idx } = pending[reportIdx];
+          rows[idx] = rows[idx].concat(normalizeRows(report));
+          if (!report.nextPageToken) return r;
+          return r.concat({ request: { ...request, pageToken: report.nextPageToken }, idx });
+        }, [])
+      )
+    );
+  }
+}
+
+/**
+ * Read all the pages of the query along with the sampling data of the first one.
+ * With stopWhenSampled the rest of pages is not read if the first one is sampled.
+ */
+function readReport({ options, startIndex = 1, maxResults = 1000, retryPolicy, stopWhenSampled }) {
+  const read = backOff(
+    (index) =>
+      analytics.data.ga
+        .get({ ...options, 'start-index': index, 'max-results': maxResults })
+        .then(({ data }) => data)
+        .catch(errorHandler),
+    retryPolicy
+  );
+  return next(startIndex, []);
+
+  function next(index, rows) {
+    return read(index).then((data) => {
+      const pageRows = data.rows || [];
+      const all = rows.concat(pageRows);
+      if (stopWhenSampled && data.containsSampledData) return { ...data, rows: all };
+      if (pageRows.length > 0 && index - 1 + pageRows.length < data.totalResults) {
+        return next(index + pageRows.length, all).then((report) => ({
+          ...report,
+          ...pick(data, 'containsSampledData', 'sampleSize', 'sampleSpace')
+        }));
+      }
+      return { ...data, rows: all };
+    });
+  }
+}
+
+/**
+ * Merge rows of the chunks by the values of their dimensions.
+ * The report is empty when no chunk has columnHeaders, e.g. the view had no data.
+ */
+function mergeChunks(chunks) {
+  const withHeaders = chunks.find(({ report }) => report.columnHeaders);
+  if (!withHeaders) return { columnHeaders: [], rows: [], nonAdditiveMetrics: [] };
+  const { columnHeaders } = withHeaders.report;
+  const dimensions = columnHeaders
+    .map(({ columnType }, idx) => columnType === 'DIMENSION' && idx)
+    .filter((idx) => idx !== false);
+  const additive = columnHeaders.map(
+    ({ name, dataType }) =>
+      !!~ADDITIVE_TYPES.indexOf(dataType) &&
+      !~NON_ADDITIVE_METRICS.indexOf(name) &&
+      !NON_ADDITIVE_PATTERN.test(name)
+  );
+  const merged = {};
+  const keys = [];
+  const nonAdditive = {};
+  chunks.forEach(({ report: { rows = [] } }) =>
+    rows.forEach((row) => {
+      const key = JSON.stringify(dimensions.map((idx) => row[idx]));
+      if (!merged[key]) {
+        keys.push(key);
+        merged[key] = row.slice();
+        return;
+      }
+      merged[key] = merged[key].map((value, idx) => {
+        const { name, columnType } = columnHeaders[idx];
+        if (columnType === 'DIMENSION') return value;
+        if (additive[idx]) return `${+value + +row[idx]}`;
+        nonAdditive[name] = true;
+        return null;
+      });
+    })
+  );
+  return {
+    columnHeaders,
+    rows: keys.map((key) => merged[key]),
+    nonAdditiveMetrics: Object.keys(nonAdditive)
+  };
+}
+
+function splitBy({ startDate, endDate }, period) {
+  const ranges = [];
+  let start = toUTCDate(startDate);
+  const end = toUTCDate(endDate);
+  while (start <= end) {
+    let chunkEnd = new Date(start);
+    if (period === 'month')
+      chunkEnd = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+    if (period === 'week') chunkEnd.setUTCDate(chunkEnd.getUTCDate() + 6);
+    if (chunkEnd > end) chunkEnd = end;
+    ranges.push({ startDate: isoDate(start), endDate: isoDate(chunkEnd) });
+    start = new Date(chunkEnd);
+    start.setUTCDate(start.getUTCDate() + 1);
+  }
+  return ranges;
+}
+
+function resolveDate(date) {
+  const today = toUTCDate(isoDate(new Date()));
+  if (date === 'today') return isoDate(today);
+  if (date === 'yesterday') return isoDate(new Date(today - DAY));
+  const daysAgo = /^(\d+)daysAgo$/.exec(date);
+  if (daysAgo) return isoDate(new Date(today - daysAgo[1] * DAY));
+  return date;
+}
+
+function toUTCDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function toReport(data, rows) {
+  return {
+    columnHeaders: data.columnHeaders || [],
+    rows,
+    totalResults: data.totalResults,
+    totalsForAllResults: data.totalsForAllResults,
+    containsSampledData: !!data.containsSampledData
+  };
+}
+
+/**
+ * Query of data API: lists of names to comma separated strings, camelCase names to the hyphenated ones.
+ */
+function toDataQuery(query) {
+  return Object.keys(query).reduce((r, key) => {
+    const value = Array.isArray(query[key]) ? query[key].join(',') : query[key];
+    return { ...r, [key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)]: value };
+  }, {});
+}
+
+/**
+ * MCF cells are primitiveValue or conversionPathValue, the list of interactions.
+ */
+function normalizeMcfRow(row) {
+  return row.map(
+    ({ primitiveValue, conversionPathValue }) =>
+      conversionPathValue
+        ? conversionPathValue.map(({ nodeValue }) => nodeValue).join(' > ')
+        : primitiveValue
+  );
+}
+
+/**
+ * Accept names of metrics and dimensions and page size of the reader.
+ */
+function toReportRequest(request, pageSize = DEFAULT_PAGE_SIZE) {
+  const { viewId, metrics = [], dimensions } = request;
+  return {
+    pageSize: Math.min(pageSize, REPORTING_LIMITS.pageSize),
+    ...request,
+    viewId: `${viewId}`.replace(/^ga:/, ''),
+    metrics: metrics.map(
+      (metric) => (typeof metric === 'string' ? { expression: metric } : metric)
+    ),
+    dimensions:
+      dimensions &&
+      dimensions.map(
+        (dimension) => (typeof dimension === 'string' ? { name: dimension } : dimension)
+      )
+  };
+}
+
+/**
+ * v4 rows to the v3 ones.
+ * @param report { object } Report of the v4 API
+ * @returns {Array.Array}
+ */
+function normalizeRows({ data = {} }) {
+  return (data.rows || []).map(({ dimensions = [], metrics = [] }) =>
+    dimensions.concat(
+      metrics.reduce((r, { values = [] }) => r.concat(values), []),
+      metrics.reduce(
+        (r, { pivotValueRegions = [] }) =>
+          pivotValueRegions.reduce((p, { values = [] }) => p.concat(values), r),
+        []
+      )
+    )
+  );
+}
+
+module.exports = {
+  REPORTING_LIMITS,
+  SPLIT_PERIODS,
+  NON_ADDITIVE_METRICS,
+  NON_ADDITIVE_PATTERN,
+  reportPagination,
+  typedReport,
+  iterateReport,
+  reportStream,
+  unsampledReport,
+  getRealtime,
+  getMcf,
+  batchGetReports,
+  normalizeRows
+};
+
+/**
+ *  @typedef Report
+ *  @type {object}
+ *  @property {Array.Object} columnHeaders - name, columnType and dataType of the columns
+ *  @property {Array.Array} rows - rows of values
+ *  @property {number} totalResults - number of rows
+ *  @property {object} totalsForAllResults - totals of the metrics by name
+ *  @property {boolean} containsSampledData - whether the data is sampled
+ */
+
+/**
+ *  @typedef UnsampledReport
+ *  @type {object}
+ *  @property {Array.Object} columnHeaders - columnHeaders of the v3 response
+ *  @property {Array.Array} rows - merged rows
+ *  @property {number} totalResults - number of merged rows
+ *  @property {boolean} sampled - whether any chunk is still sampled at the floor
+ *  @property {number} samplingRatio - sampleSize / sampleSpace of the sampled chunks, 1 if none is sampled
+ *  @property {Array.string} nonAdditiveMetrics - metrics which values were merged from several chunks and are null
+ *  @property {Array.Object} chunks - startDate, endDate and sampled of each read chunk
+ */
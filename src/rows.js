@@ -0,0 +1,169 @@
+/**
+ * Typed row objects of reports and their CSV/NDJSON serialization.
+ * @module gamanip/rows
+ */
+const fs = require('fs');
+const { ServiceError } = require('./errors');
+
+const NUMBER_TYPES = ['FLOAT', 'PERCENT', 'TIME', 'CURRENCY'];
+
+/**
+ * Date dimensions converted to ISO 8601, by the length of their value.
+ * @kind constant
+ */
+const DATE_FORMATS = {
+  6: (v) => `${v.substr(0, 4)}-${v.substr(4, 2)}`,
+  8: (v) => `${v.substr(0, 4)}-${v.substr(4, 2)}-${v.substr(6, 2)}`,
+  10: (v) => `${v.substr(0, 4)}-${v.substr(4, 2)}-${v.substr(6, 2)}T${v.substr(8, 2)}:00`,
+  12: (v) =>
+    `${v.substr(0, 4)}-${v.substr(4, 2)}-${v.substr(6, 2)}T${v.substr(8, 2)}:${v.substr(10, 2)}`
+};
+const DATE_DIMENSIONS = ['ga:date', 'ga:yearMonth', 'ga:dateHour', 'ga:dateHourMinute'];
+
+/**
+ * Convert a value of the report by the column header.
+ * INTEGER is an integer, FLOAT, PERCENT, TIME (seconds) and CURRENCY are numbers,
+ * ga:date, ga:yearMonth, ga:dateHour and ga:dateHourMinute are ISO 8601 strings.
+ * @param value { string } value of the row
+ * @param header { object } column header `{ name, columnType, dataType }`
+ * @returns {*}
+ */
+function convertValue(value, { name, dataType }) {
+  if (value === null || value === undefined) return value;
+  if (~DATE_DIMENSIONS.indexOf(name) && DATE_FORMATS[value.length]) {
+    return DATE_FORMATS[value.length](value);
+  }
+  if (dataType === 'INTEGER') return parseInt(value, 10);
+  if (~NUMBER_TYPES.indexOf(dataType)) return parseFloat(value);
+  return value;
+}
+
+/**
+ * Map the positional rows to objects keyed by column name with converted values.
+ * @example
+ * typedRows({ columnHeaders, rows: [['20181231', '123']] }); // [{ 'ga:date': '2018-12-31', 'ga:sessions': 123 }]
+ * @param report
+ * @param report.columnHeaders { Array.Object } columnHeaders of the v3 response
+ * @param report.rows { Array.Array } rows of the response
+ * @returns {Array.Object}
+ */
+function typedRows({ columnHeaders = [], rows = [] }) {
+  return rows.map((row) =>
+    columnHeaders.reduce(
+      (r, header, idx) => ({ ...r, [header.name]: convertValue(row[idx], header) }),
+      {}
+    )
+  );
+}
+
+/**
+ * Converted totalsForAllResults of the response.
+ * @param report
+ * @param report.columnHeaders { Array.Object } columnHeaders of the v3 response
+ * @param report.totalsForAllResults { object } totals of metrics by name
+ * @returns {object}
+ */
+function typedTotals({ columnHeaders = [], totalsForAllResults = {} }) {
+  return columnHeaders.filter(({ name }) => totalsForAllResults[name] !== undefined).reduce(
+    (r, header) => ({
+      ...r,
+      [header.name]: convertValue(totalsForAllResults[header.name], header)
+    }),
+    {}
+  );
+}
+
+/**
+ * Line of CSV with the values of the columns, values with commas, quotes or line breaks are quoted.
+ * @param values { Array }
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  return `${values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      const text = `${value}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\n`;
+}
+
+/**
+ * Line of newline delimited JSON.
+ * @param row { object }
+ * @returns {string}
+ */
+function toNdjsonLine(row) {
+  return `${JSON.stringify(row)}\n`;
+}
+
+/**
+ * Write row objects as CSV or NDJSON to a file or a stream.
+ * Rows can be an array or an async iterable, e.g. {@link iterateReport} with `typed: true`,
+ * the writes wait for the stream to drain. A file is ended when all rows are written,
+ * a stream passed by the caller is left open.
+ * @example
+ * writeRows({ rows: iterateReport({ options, typed: true }), format: 'ndjson', to: 'report.ndjson' })
+ * @param options
+ * @param options.rows { Array.Object|AsyncIterable } row objects
+ * @param options.format { string } csv or ndjson
+ * @param options.to { string|Writable } path of the file or writable stream
+ * @param options.columns { Array.string } columns of CSV, the keys of the first row by default
+ * @returns {Promise}
+ * @fulfil {number} - number of the written rows
+ */
+function writeRows({ rows, format = 'csv', to, columns }) {
+  if (!~['csv', 'ndjson'].indexOf(format)) {
+    return Promise.reject(new ServiceError(412, `format should be csv or ndjson, got ${format}`));
+  }
+  const stream = typeof to === 'string' ? fs.createWriteStream(to) : to;
+  const iterator = Symbol.asyncIterator in Object(rows) ? rows[Symbol.asyncIterator]() : null;
+  let idx = 0;
+  let count = 0;
+
+  return new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    next()
+      .then(() => {
+        if (stream === to) return resolve(count);
+        stream.on('finish', () => resolve(count));
+        return stream.end();
+      })
+      .catch(reject);
+  });
+
+  function next() {
+    return read().then(({ done, value }) => {
+      if (done) {
+        if (format === 'csv' && count === 0 && columns) stream.write(toCsvLine(columns));
+        return undefined;
+      }
+      if (format === 'csv' && count === 0) {
+        columns = columns || Object.keys(value);
+        stream.write(toCsvLine(columns));
+      }
+      const line =
+        format === 'csv' ? toCsvLine(columns.map((column) => value[column])) : toNdjsonLine(value);
+      count = count + 1;
+      if (stream.write(line)) return next();
+      return new Promise((resolve) => stream.once('drain', resolve)).then(next);
+    });
+  }
+
+  function read() {
+    if (iterator) return iterator.next();
+    idx = idx + 1;
+    return Promise.resolve(
+      idx > rows.length ? { done: true } : { done: false, value: rows[idx - 1] }
+    );
+  }
+}
+
+module.exports = {
+  convertValue,
+  typedRows,
+  typedTotals,
+  toCsvLine,
+  toNdjsonLine,
+  writeRows
+};
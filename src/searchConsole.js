@@ -0,0 +1,206 @@
+/**
+ * A Promise based module for working with Search Console API.
+ * @module gamanip/searchConsole
+ */
+const { google } = require('googleapis');
+const webmasters = google.webmasters('v3');
+const { errorHandler } = require('./errors');
+
+/**
+ * The largest page of searchAnalytics.query.
+ * @kind constant
+ */
+const SEARCH_ANALYTICS_ROW_LIMIT = 5000;
+
+const UNVERIFIED = 'siteUnverifiedUser';
+
+/**
+ * Get the sites of the user.
+ * @param query
+ * @param query.from { FromRoot }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @returns {Promise}
+ * @fulfil {{ from: FromRoot, sites: Array.Object }} - pass down siteUrl and permissionLevel of the sites along with the origin
+ */
+function getSites({ from }) {
+  const { oauth2Client: auth } = from;
+  return webmasters.sites
+    .list({ auth })
+    .then(({ data }) => ({ from, sites: data.siteEntry || [] }))
+    .catch(errorHandler);
+}
+
+/**
+ * Query search analytics, all the rows are read with startRow paging past the limit of one request.
+ * @param query
+ * @param query.from { FromSite }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.siteUrl { string } the site, e.g. https://www.example.com/
+ * @param query.query { object } startDate, endDate, dimensions, dimensionFilterGroups, searchType and aggregationType
+ * @param query.rowLimit { number } number of rows read per request, 5000 at most
+ * @param query.maxRows { number } stop reading when there are that many rows
+ * @returns {Promise}
+ * @fulfil {{ from: FromSite, rows: Array.Object }} - pass down keys, clicks, impressions, ctr and position of the rows along with the origin
+ */
+function querySearchAnalytics({
+  from,
+  query = {},
+  rowLimit = SEARCH_ANALYTICS_ROW_LIMIT,
+  maxRows = Infinity
+}) {
+  const { oauth2Client: auth, siteUrl } = from;
+  const pageSize = Math.min(rowLimit, SEARCH_ANALYTICS_ROW_LIMIT);
+  return next([])
+    .then((rows) => ({ from, rows }))
+    .catch(errorHandler);
+
+  function next(rows) {
+    return webmasters.searchanalytics
+      .query({
+        auth,
+        siteUrl,
+        resource: {
+          ...query,
+          startRow: rows.length,
+          rowLimit: Math.min(pageSize, maxRows - rows.length)
+        }
+      })
+      .then(({ data }) => {
+        const pageRows = data.rows || [];
+        const all = rows.concat(pageRows);
+        if (pageRows.length < pageSize || all.length >= maxRows) return all.slice(0, maxRows);
+        return next(all);
+      });
+  }
+}
+
+/**
+ * Get the sitemaps of the site.
+ * @param query
+ * @param query.from { FromSite }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.siteUrl { string } the site, e.g. https://www.example.com/
+ * @returns {Promise}
+ * @fulfil {{ from: FromSite, sitemaps: Array.Object }} - pass down sitemaps along with the origin
+ */
+function getSitemaps({ from }) {
+  const { oauth2Client: auth, siteUrl } = from;
+  return webmasters.sitemaps
+    .list({ auth, siteUrl })
+    .then(({ data }) => ({ from, sitemaps: data.sitemap || [] }))
+    .catch(errorHandler);
+}
+
+/**
+ * Submit a sitemap of the site.
+ * @param query
+ * @param query.to { FromSite }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.siteUrl { string } the site, e.g. https://www.example.com/
+ * @param query.to.feedpath { string } url of the sitemap, e.g. https://www.example.com/sitemap.xml
+ * @returns {Promise}
+ * @fulfil {{ to: FromSite }} - pass down the origin
+ */
+function submitSitemap({ to }) {
+  const { oauth2Client: auth, siteUrl, feedpath } = to;
+  return webmasters.sitemaps
+    .submit({ auth, siteUrl, feedpath })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Delete a sitemap of the site.
+ * @param query
+ * @param query.to { FromSite }
+ * @param query.to.oauth2Client { object } authenticated client
+ * @param query.to.siteUrl { string } the site, e.g. https://www.example.com/
+ * @param query.to.feedpath { string } url of the sitemap, e.g. https://www.example.com/sitemap.xml
+ * @returns {Promise}
+ * @fulfil {{ to: FromSite }} - pass down the origin
+ */
+function deleteSitemap({ to }) {
+  const { oauth2Client: auth, siteUrl, feedpath } = to;
+  return webmasters.sitemaps
+    .delete({ auth, siteUrl, feedpath })
+    .then(() => ({ to }))
+    .catch(errorHandler);
+}
+
+/**
+ * Find which variant of the site the user has verified.
+ * The url itself is preferred, then the domain property, https and http with and without www.
+ * @param query
+ * @param query.from { FromRoot }
+ * @param query.from.oauth2Client { object } authenticated client
+ * @param query.from.siteName { string } domain or url of the site, e.g. example.com or http://www.example.com
+ * @returns {Promise}
+ * @fulfil {{ from: FromRoot, siteUrl: string }} - pass down the verified siteUrl, null if none is verified
+ */
+function resolveSiteUrl({ from }) {
+  return getSites({ from }).then(({ sites }) => {
+    const verified = sites
+      .filter(({ permissionLevel }) => permissionLevel !== UNVERIFIED)
+      .map(({ siteUrl }) => siteUrl);
+    const siteUrl = [from.siteName]
+      .concat(denormalizeSiteName(from.siteName))
+      .map(withTrailingSlash)
+      .find((candidate) => ~verified.indexOf(candidate));
+    return { from, siteUrl: siteUrl || null };
+  });
+}
+
+/**
+ * Variants of the site in the order of preference.
+ * @param siteName { string } domain or url
+ * @returns {Array.string}
+ */
+function denormalizeSiteName(siteName) {
+  const normalizedName = normalizeSiteName(siteName);
+  return [
+    `sc-domain:${normalizedName}`,
+    `https://www.${normalizedName}`,
+    `https://${normalizedName}`,
+    `http://www.${normalizedName}`,
+    `http://${normalizedName}`
+  ];
+}
+
+/**
+ * Domain of the site, without protocol, www and path.
+ * @param siteName { string } domain or url
+ * @returns {string}
+ */
+function normalizeSiteName(siteName) {
+  return siteName
+    .replace(/^sc-domain:/, '')
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/.*$/, '');
+}
+
+/**
+ * Url prefix properties end with slash, domain properties do not.
+ */
+function withTrailingSlash(siteUrl) {
+  return /^https?:\/\/[^/]+$/.test(siteUrl) ? `${siteUrl}/` : siteUrl;
+}
+
+module.exports = {
+  SEARCH_ANALYTICS_ROW_LIMIT,
+  getSites,
+  querySearchAnalytics,
+  getSitemaps,
+  submitSitemap,
+  deleteSitemap,
+  resolveSiteUrl,
+  denormalizeSiteName,
+  normalizeSiteName
+};
+
+/**
+ *  @typedef FromSite
+ *  @type {object}
+ *  @property {object} oauth2Client - oauth2Client authenticated client
+ *  @property {string} siteUrl - siteUrl of Search Console property
+ */
@@ -0,0 +1,44 @@
+/**
+ * Object helpers shared by the modules.
+ * @module gamanip/utils
+ */
+
+/**
+ * Copy of the listed properties which are defined.
+ * @param o { object }
+ * @param props { ...string }
+ * @returns {object}
+ */
+function pick(o, ...props) {
+  return props.reduce((r, prop) => (o[prop] === undefined ? r : { ...r, [prop]: o[prop] }), {});
+}
+
+/**
+ * Copy without the listed properties.
+ * @param o { object }
+ * @param props { ...string }
+ * @returns {object}
+ */
+function omit(o, ...props) {
+  return Object.keys(o).reduce((r, k) => (~props.indexOf(k) ? r : { ...r, [k]: o[k] }), {});
+}
+
+/**
+ * Copy without the undefined properties.
+ * @param o { object }
+ * @returns {object}
+ */
+function compact(o) {
+  return Object.keys(o).reduce((r, k) => (o[k] === undefined ? r : { ...r, [k]: o[k] }), {});
+}
+
+/**
+ * Whether the value is a plain object, not null nor an array.
+ * @param value { * }
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { pick, omit, compact, isObject };
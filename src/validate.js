@@ -0,0 +1,447 @@
+/**
+ * Validation of reference objects against the enums and limits of the Management API.
+ * @module gamanip/validate
+ */
+const { ServiceError } = require('./errors');
+
+/**
+ * Number of custom dimensions and metrics of a property, by the level of the property.
+ * @kind constant
+ */
+const CUSTOM_DEFINITION_LIMITS = { STANDARD: 20, PREMIUM: 200 };
+
+/**
+ * Limits of the goals of a view: 20 goals in 4 sets of 5, ids 1 to 20, and 20 steps of a funnel.
+ * @kind constant
+ */
+const GOAL_LIMITS = { goals: 20, funnelSteps: 20 };
+
+/**
+ * Number of views of a web property.
+ * @kind constant
+ */
+const VIEW_LIMIT = 25;
+
+/**
+ * Details of the goal by the goal type.
+ * @kind constant
+ */
+const GOAL_TYPES = {
+  URL_DESTINATION: 'urlDestinationDetails',
+  VISIT_TIME_ON_SITE: 'visitTimeOnSiteDetails',
+  VISIT_NUM_PAGES: 'visitNumPagesDetails',
+  EVENT: 'eventDetails'
+};
+
+/**
+ * Details of the filter by the filter type.
+ * @kind constant
+ */
+const FILTER_TYPES = {
+  INCLUDE: 'includeDetails',
+  EXCLUDE: 'excludeDetails',
+  LOWERCASE: 'lowercaseDetails',
+  UPPERCASE: 'uppercaseDetails',
+  SEARCH_AND_REPLACE: 'searchAndReplaceDetails',
+  ADVANCED: 'advancedDetails'
+};
+
+/**
+ * Enums of the Management API.
+ * @kind constant
+ */
+const ENUMS = {
+  currency: [
+    'AED',
+    'ARS',
+    'AUD',
+    'BGN',
+    'BOB',
+    'BRL',
+    'CAD',
+    'CHF',
+    'CLP',
+    'CNY',
+    'COP',
+    'CZK',
+    'DKK',
+    'EGP',
+    'EUR',
+    'GBP',
+    'HKD',
+    'HRK',
+    'HUF',
+    'IDR',
+    'ILS',
+    'INR',
+    'JPY',
+    'KRW',
+    'LTL',
+    'LVL',
+    'MAD',
+    'MXN',
+    'MYR',
+    'NOK',
+    'NZD',
+    'PEN',
+    'PHP',
+    'PKR',
+    'PLN',
+    'RON',
+    'RSD',
+    'RUB',
+    'SAR',
+    'SEK',
+    'SGD',
+    'THB',
+    'TRY',
+    'TWD',
+    'UAH',
+    'USD',
+    'VEF',
+    'VND',
+    'ZAR'
+  ],
+  industryVertical: [
+    'UNSPECIFIED',
+    'ARTS_AND_ENTERTAINMENT',
+    'AUTOMOTIVE',
+    'BEAUTY_AND_FITNESS',
+    'BOOKS_AND_LITERATURE',
+    'BUSINESS_AND_INDUSTRIAL_MARKETS',
+    'COMPUTERS_AND_ELECTRONICS',
+    'FINANCE',
+    'FOOD_AND_DRINK',
+    'GAMES',
+    'HEALTHCARE',
+    'HOBBIES_AND_LEISURE',
+    'HOME_AND_GARDEN',
+    'INTERNET_AND_TELECOM',
+    'JOBS_AND_EDUCATION',
+    'LAW_AND_GOVERNMENT',
+    'NEWS',
+    'ONLINE_COMMUNITIES',
+    'OTHER',
+    'PEOPLE_AND_SOCIETY',
+    'PETS_AND_ANIMALS',
+    'REAL_ESTATE',
+    'REFERENCE',
+    'SCIENCE',
+    'SHOPPING',
+    'SPORTS',
+    'TRAVEL'
+  ],
+  dataRetentionTtl: ['MONTHS_14', 'MONTHS_26', 'MONTHS_38', 'MONTHS_50', 'INDEFINITE'],
+  viewType: ['WEB', 'APP'],
+  dimensionScope: ['HIT', 'SESSION', 'USER', 'PRODUCT'],
+  metricScope: ['HIT', 'PRODUCT'],
+  metricType: ['INTEGER', 'CURRENCY', 'TIME'],
+  filterMatchType: ['BEGINS_WITH', 'EQUAL', 'ENDS_WITH', 'CONTAINS', 'MATCHES'],
+  urlMatchType: ['HEAD', 'EXACT', 'REGEX'],
+  eventMatchType: ['BEGINS_WITH', 'EXACT', 'REGEXP'],
+  eventConditionType: ['CATEGORY', 'ACTION', 'LABEL', 'VALUE'],
+  comparisonType: ['EQUAL', 'GREATER_THAN', 'LESS_THAN'],
+  permission: ['READ_AND_ANALYZE', 'COLLABORATE', 'EDIT', 'MANAGE_USERS']
+};
+
+/**
+ * Check the whole reference object, all the problems are reported at once.
+ * @example
+ * validate(ref.toJson()); // throws ServiceError(412) with `problems`
+ * @param referenceObject { object|ReferenceObject } the desired configuration
+ * @returns {object} the reference object, when it is valid
+ * @throws {ServiceError} 412 listing `path message` of the problems, the problems are in `problems`
+ */
+function validate(referenceObject = {}) {
+  const json =
+    typeof referenceObject.toJson === 'function' ? referenceObject.toJson() : referenceObject;
+  const found = problemsOf(json);
+  if (found.length === 0) return referenceObject;
+  const error = new ServiceError(
+    412,
+    `invalid reference object: ${found.map(({ path, message }) => `${path} ${message}`).join('; ')}`
+  );
+  error.problems = found;
+  throw error;
+}
+
+/**
+ * Problems of the reference object.
+ * @param referenceObject { object } the desired configuration
+ * @returns {Array.<Problem>}
+ */
+function problemsOf(referenceObject) {
+  const {
+    accountId,
+    webPropertyId,
+    webProperty = {},
+    customDimensions = [],
+    customMetrics = [],
+    views = [],
+    accountUsers = [],
+    webPropertyUsers = []
+  } = referenceObject;
+  const found = [];
+  if (!accountId) found.push(problem('accountId', 'is required'));
+
+  if (!webPropertyId && !webProperty.id && !webProperty.uniqueKey) {
+    if (!webProperty.name) found.push(problem('webProperty.name', 'is required'));
+    if (!webProperty.websiteUrl) found.push(problem('webProperty.websiteUrl', 'is required'));
+  }
+  if (webProperty.uniqueKey && webProperty[webProperty.uniqueKey] === undefined) {
+    found.push(problem(`webProperty.${webProperty.uniqueKey}`, 'is required by uniqueKey'));
+  }
+  oneOf(
+    found,
+    'webProperty.industryVertical',
+    webProperty.industryVertical,
+    ENUMS.industryVertical
+  );
+  oneOf(
+    found,
+    'webProperty.dataRetentionTtl',
+    webProperty.dataRetentionTtl,
+    ENUMS.dataRetentionTtl
+  );
+  url(found, 'webProperty.websiteUrl', webProperty.websiteUrl);
+
+  customProblems(found, 'customDimensions', customDimensions, (dimension, path) =>
+    oneOf(found, `${path}.scope`, dimension.scope, ENUMS.dimensionScope, true)
+  );
+  customProblems(found, 'customMetrics', customMetrics, (metric, path) => {
+    oneOf(found, `${path}.scope`, metric.scope, ENUMS.metricScope, true);
+    oneOf(found, `${path}.type`, metric.type, ENUMS.metricType, true);
+  });
+
+  if (views.length > VIEW_LIMIT) {
+    found.push(problem('views', `has ${views.length} views, the limit is ${VIEW_LIMIT}`));
+  }
+  views.forEach(({ view = {}, goals = [], filters = [], users = [] }, idx) => {
+    const path = `views[${idx}]`;
+    if (!view.id && !view.name) found.push(problem(`${path}.view.name`, 'is required'));
+    if (view.uniqueKey && view[view.uniqueKey] === undefined) {
+      found.push(problem(`${path}.view.${view.uniqueKey}`, 'is required by uniqueKey'));
+    }
+    if (view.name && views.findIndex((other) => (other.view || {}).name === view.name) !== idx) {
+      found.push(problem(`${path}.view.name`, `${view.name} is used by another view`));
+    }
+    oneOf(found, `${path}.view.currency`, view.currency, ENUMS.currency);
+    oneOf(found, `${path}.view.type`, view.type, ENUMS.viewType);
+    url(found, `${path}.view.websiteUrl`, view.websiteUrl);
+    if (view.timezone !== undefined && !isTimezone(view.timezone)) {
+      found.push(problem(`${path}.view.timezone`, `${view.timezone} is not a valid timezone`));
+    }
+    goalProblems(goals, `${path}.goals`).forEach((p) => found.push(p));
+    filterProblems(found, `${path}.filters`, filters);
+    userProblems(found, `${path}.users`, users);
+  });
+  userProblems(found, 'accountUsers', accountUsers);
+  userProblems(found, 'webPropertyUsers', webPropertyUsers);
+  return found;
+}
+
+/**
+ * Problems of the goals of a view by the rules of Google Analytics:
+ * 20 goals in 4 sets of 5 (ids 1 to 20), 20 funnel steps, valid types, match types
+ * and comparison types of the conditions.
+ * @param goals { Array.Object } goals of the view
+ * @param path { string } path of the goals in the reference object, e.g. `views[0].goals`
+ * @returns {Array.<Problem>}
+ */
+function goalProblems(goals = [], path = 'goals') {
+  const found = [];
+  if (goals.length > GOAL_LIMITS.goals) {
+    found.push(problem(path, `has ${goals.length} goals, the limit is ${GOAL_LIMITS.goals}`));
+  }
+  goals.forEach((goal, idx) => {
+    const goalPath = `${path}[${idx}]`;
+    const { id, name, value, type } = goal;
+    if (id === undefined && !name) found.push(problem(goalPath, 'should have id or name'));
+    if (id !== undefined && !(Number.isInteger(+id) && +id >= 1 && +id <= GOAL_LIMITS.goals)) {
+      found.push(problem(`${goalPath}.id`, `${id} should be 1 to ${GOAL_LIMITS.goals}`));
+    }
+    if (id !== undefined && goals.findIndex((g) => `${g.id}` === `${id}`) !== idx) {
+      found.push(problem(`${goalPath}.id`, `${id} is declared twice`));
+    }
+    if (id === undefined && name && goals.findIndex((g) => g.name === name) !== idx) {
+      found.push(problem(`${goalPath}.name`, `${name} is declared twice`));
+    }
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+      found.push(problem(`${goalPath}.value`, 'should be a positive number'));
+    }
+    if (!GOAL_TYPES[type]) {
+      found.push(
+        problem(`${goalPath}.type`, `should be one of ${Object.keys(GOAL_TYPES).join(', ')}`)
+      );
+      return;
+    }
+    const details = goal[GOAL_TYPES[type]];
+    const detailsPath = `${goalPath}.${GOAL_TYPES[type]}`;
+    if (!details) {
+      found.push(problem(detailsPath, `is required by ${type} goal`));
+      return;
+    }
+    if (type === 'URL_DESTINATION') {
+      const { matchType, steps = [] } = details;
+      if (!details.url) found.push(problem(`${detailsPath}.url`, 'is required'));
+      oneOf(found, `${detailsPath}.matchType`, matchType, ENUMS.urlMatchType);
+      if (steps.length > GOAL_LIMITS.funnelSteps) {
+        found.push(
+          problem(detailsPath, `has ${steps.length} steps, the limit is ${GOAL_LIMITS.funnelSteps}`)
+        );
+      }
+      steps.forEach((step, stepIdx) => {
+        if (!step.url) found.push(problem(`${detailsPath}.steps[${stepIdx}].url`, 'is required'));
+      });
+    }
+    if (type === 'VISIT_TIME_ON_SITE' || type === 'VISIT_NUM_PAGES') {
+      comparisonProblems(details, detailsPath);
+    }
+    if (type === 'EVENT') {
+      const { eventConditions = [] } = details;
+      if (eventConditions.length === 0) {
+        found.push(problem(`${detailsPath}.eventConditions`, 'are required'));
+      }
+      eventConditions.forEach((condition, conditionIdx) => {
+        const conditionPath = `${detailsPath}.eventConditions[${conditionIdx}]`;
+        oneOf(found, `${conditionPath}.type`, condition.type, ENUMS.eventConditionType, true);
+        if (condition.type === 'VALUE') return comparisonProblems(condition, conditionPath);
+        if (!~ENUMS.eventConditionType.indexOf(condition.type)) return undefined;
+        oneOf(found, `${conditionPath}.matchType`, condition.matchType, ENUMS.eventMatchType, true);
+        if (!condition.expression)
+          found.push(problem(`${conditionPath}.expression`, 'is required'));
+        return undefined;
+      });
+    }
+  });
+  return found;
+
+  function comparisonProblems({ comparisonType, comparisonValue }, conditionPath) {
+    oneOf(found, `${conditionPath}.comparisonType`, comparisonType, ENUMS.comparisonType, true);
+    if (comparisonValue === undefined) {
+      found.push(problem(`${conditionPath}.comparisonValue`, 'is required'));
+    }
+  }
+}
+
+/**
+ * Custom dimensions and metrics need name and scope, their indexes are unique
+ * and within the limit of a 360 property, the limit of the level is checked by make().
+ */
+function customProblems(found, path, definitions, check) {
+  const limit = CUSTOM_DEFINITION_LIMITS.PREMIUM;
+  definitions.forEach((definition, idx) => {
+    const itemPath = `${path}[${idx}]`;
+    const { index, name } = definition;
+    if (!name) found.push(problem(`${itemPath}.name`, 'is required'));
+    if (index !== undefined && !(Number.isInteger(+index) && +index >= 1 && +index <= limit)) {
+      found.push(problem(`${itemPath}.index`, `${index} should be 1 to ${limit}`));
+    }
+    if (index !== undefined && definitions.findIndex((d) => `${d.index}` === `${index}`) !== idx) {
+      found.push(problem(`${itemPath}.index`, `${index} is declared twice`));
+    }
+    if (name && definitions.findIndex((d) => d.name === name) !== idx) {
+      found.push(problem(`${itemPath}.name`, `${name} is declared twice`));
+    }
+    check(definition, itemPath);
+  });
+}
+
+function filterProblems(found, path, filters) {
+  filters.forEach((filter, idx) => {
+    const itemPath = `${path}[${idx}]`;
+    const uniqueKey = filter.uniqueKey || 'name';
+    if (!filter.id && filter[uniqueKey] === undefined) {
+      found.push(problem(`${itemPath}.${uniqueKey}`, 'is required'));
+    }
+    if (filter.id && !filter.type) return;
+    if (!FILTER_TYPES[filter.type]) {
+      found.push(
+        problem(`${itemPath}.type`, `should be one of ${Object.keys(FILTER_TYPES).join(', ')}`)
+      );
+      return;
+    }
+    const details = filter[FILTER_TYPES[filter.type]];
+    const detailsPath = `${itemPath}.${FILTER_TYPES[filter.type]}`;
+    if (!details) {
+      found.push(problem(detailsPath, `is required by ${filter.type} filter`));
+      return;
+    }
+    if (filter.type === 'INCLUDE' || filter.type === 'EXCLUDE') {
+      oneOf(found, `${detailsPath}.matchType`, details.matchType, ENUMS.filterMatchType);
+      if (!details.field) found.push(problem(`${detailsPath}.field`, 'is required'));
+    }
+  });
+}
+
+function userProblems(found, path, users) {
+  users.forEach(({ email, permissions = [] }, idx) => {
+    const itemPath = `${path}[${idx}]`;
+    if (!/^[^@\s]+@[^@\s]+$/.test(email || '')) {
+      found.push(problem(`${itemPath}.email`, `${email} is not a valid email`));
+    }
+    []
+      .concat(permissions.local || permissions)
+      .forEach((permission, permissionIdx) =>
+        oneOf(
+          found,
+          `${itemPath}.permissions[${permissionIdx}]`,
+          `${permission}`.toUpperCase(),
+          ENUMS.permission,
+          true
+        )
+      );
+    if (
+      users.findIndex((user) => `${user.email}`.toLowerCase() === `${email}`.toLowerCase()) !== idx
+    ) {
+      found.push(problem(`${itemPath}.email`, `${email} is declared twice`));
+    }
+  });
+}
+
+function oneOf(found, path, value, values, required = false) {
+  if (value === undefined && !required) return;
+  if (!~values.indexOf(value)) {
+    found.push(problem(path, `${value} should be one of ${values.join(', ')}`));
+  }
+}
+
+function url(found, path, value) {
+  if (value !== undefined && !/^https?:\/\/[^\s/]+/.test(value)) {
+    found.push(problem(path, `${value} should be an http or https url`));
+  }
+}
+
+/**
+ * IANA timezones are accepted by Intl, e.g. Europe/Berlin.
+ */
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone }).format();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function problem(path, message) {
+  return { path, message };
+}
+
+module.exports = {
+  CUSTOM_DEFINITION_LIMITS,
+  GOAL_LIMITS,
+  VIEW_LIMIT,
+  GOAL_TYPES,
+  FILTER_TYPES,
+  ENUMS,
+  validate,
+  goalProblems
+};
+
+/**
+ *  @typedef Problem
+ *  @type {object}
+ *  @property {string} path - path of the field, e.g. `views[0].view.currency`
+ *  @property {string} message - what is wrong with the field
+ */
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { publish, failLists, oauth2Client } = require('./fakeAnalytics');
+const { backOff, isRetryable } = require('../src/backOff');
+const { GoogleAnalyticsError } = require('../src/errors');
+const { plan } = require('../src/gaApi');
+
+const policy = { maxAttempts: 3, baseDelay: 1, maxDelay: 2 };
+
+function googleError(status, reason) {
+  return {
+    message: reason,
+    response: { status, statusText: 'Error', data: { error: { errors: [{ reason }] } } }
+  };
+}
+
+function failing(...errors) {
+  const calls = [];
+  const fn = (args) => {
+    calls.push(args);
+    return errors.length > 0 ? Promise.reject(errors.shift()) : Promise.resolve('done');
+  };
+  return { fn, calls };
+}
+
+describe('backOff', () => {
+  it('retries the retryable errors until the call succeeds', () => {
+    const retries = [];
+    const { fn, calls } = failing(
+      googleError(503, 'backendError'),
+      googleError(403, 'userRateLimitExceeded')
+    );
+    return backOff(fn, {
+      ...policy,
+      onRetry: ({ attempt, delay }) => retries.push([attempt, delay])
+    })('args').then((result) => {
+      assert.strictEqual(result, 'done');
+      assert.strictEqual(calls.length, 3);
+      assert.deepStrictEqual(retries, [[1, 1], [2, 2]]);
+    });
+  });
+
+  it('rejects with the history of the attempts once maxAttempts is reached', () => {
+    const { fn, calls } = failing(...[1, 2, 3].map(() => googleError(500, 'internalError')));
+    return backOff(fn, policy)().then(
+      () => assert.fail('should be rejected'),
+      (error) => {
+        assert.strictEqual(calls.length, 3);
+        assert.deepStrictEqual(
+          error.attempts.map(({ attempt, reason, statusCode, delay }) => [
+            attempt,
+            reason,
+            statusCode,
+            delay
+          ]),
+          [
+            [1, 'internalError', 500, 1],
+            [2, 'internalError', 500, 2],
+            [3, 'internalError', 500, undefined]
+          ]
+        );
+      }
+    );
+  });
+
+  it('does not retry an error marked as not retryable', () => {
+    const quota = Object.assign(googleError(429, 'rateLimitExceeded'), { retryable: false });
+    const { fn, calls } = failing(quota);
+    return backOff(fn, policy)().then(
+      () => assert.fail('should be rejected'),
+      () => assert.strictEqual(calls.length, 1)
+    );
+  });
+
+  it('takes the retryPolicy of the arguments over the policy', () => {
+    const { fn, calls } = failing(googleError(400, 'badRequest'));
+    return backOff(fn, policy)({ retryPolicy: { retryableReasons: ['badRequest'] } }).then(() =>
+      assert.strictEqual(calls.length, 2)
+    );
+  });
+
+  it('reads the reasons of GoogleAnalyticsError', () =>
+    assert.ok(isRetryable(new GoogleAnalyticsError(googleError(403, 'quotaExceeded')))));
+});
+
+describe('reads of make', () => {
+  it('are retried', () => {
+    publish({
+      webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+      profiles: [{ id: '100', name: 'Raw', webPropertyId: 'UA-1-1' }]
+    });
+    failLists('profiles', googleError(503, 'backendError'));
+    const warnings = [];
+    return plan({
+      oauth2Client,
+      logger: { debug() {}, info() {}, warn: (message) => warnings.push(message), error() {} },
+      retryPolicy: policy,
+      referenceObject: {
+        accountId: '1',
+        webPropertyId: 'UA-1-1',
+        views: [{ view: { name: 'Raw' }, goals: [], filters: [] }]
+      }
+    }).then((operations) => {
+      assert.deepStrictEqual(
+        operations.filter(({ type }) => type === 'view').map(({ action, id }) => [action, id]),
+        [['noop', '100']]
+      );
+      assert.match(warnings[0], /^retry 1 of getViews in 1ms/);
+    });
+  });
+});
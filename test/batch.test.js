@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { respondWith, sentBatches } = require('./fakeBatchelor');
+const { runBatch } = require('../src/batch');
+
+const oauth2Client = { credentials: { access_token: 'token' } };
+const retryPolicy = { maxAttempts: 3, baseDelay: 1, maxDelay: 1 };
+
+const goal = (id, accountId = '1') => ({
+  resourceType: 'goal',
+  action: 'patch',
+  to: { accountId, webPropertyId: `UA-${accountId}-1`, profileId: '100' },
+  id,
+  resource: { name: `Goal ${id}` }
+});
+
+const idOf = (part) => part.path.match(/goals\/(\d+)/)[1];
+const ok = (part) => ({ statusCode: '200', body: { id: idOf(part) } });
+const failure = (statusCode, reason) => ({
+  statusCode: `${statusCode}`,
+  statusMessage: 'Error',
+  body: { error: { code: statusCode, message: reason, errors: [{ reason }] } }
+});
+
+describe('runBatch', () => {
+  it('maps the parts back to the requests in order', () => {
+    respondWith(ok);
+    return runBatch({ oauth2Client, requests: [goal('1'), goal('2')], retryPolicy }).then(
+      (results) => {
+        assert.deepStrictEqual(
+          results.map(({ ok: succeeded, resource }) => [succeeded, resource.id]),
+          [[true, '1'], [true, '2']]
+        );
+        assert.strictEqual(sentBatches().length, 1);
+      }
+    );
+  });
+
+  it('retries only the parts failed with a retryable error', () => {
+    const retries = [];
+    respondWith(
+      (part, batch) => (batch === 1 && idOf(part) === '2' ? failure(503, 'backendError') : ok(part))
+    );
+    return runBatch({
+      oauth2Client,
+      requests: [goal('1'), goal('2'), goal('3')],
+      retryPolicy,
+      onRetry: (retry) => retries.push(retry)
+    }).then((results) => {
+      assert.ok(results.every(({ ok: succeeded }) => succeeded));
+      assert.deepStrictEqual(sentBatches().map(({ parts }) => parts.map(idOf)), [
+        ['1', '2', '3'],
+        ['2']
+      ]);
+      assert.deepStrictEqual(retries, [{ attempt: 1, delay: 1, size: 1 }]);
+    });
+  });
+
+  it('keeps the error of a part which is not retryable', () => {
+    respondWith((part) => (idOf(part) === '1' ? failure(400, 'badRequest') : ok(part)));
+    return runBatch({ oauth2Client, requests: [goal('1'), goal('2')], retryPolicy }).then(
+      ([first, second]) => {
+        assert.strictEqual(first.ok, false);
+        assert.strictEqual(first.error.statusCode, 400);
+        assert.strictEqual(first.request.id, '1');
+        assert.strictEqual(second.ok, true);
+        assert.strictEqual(sentBatches().length, 1);
+      }
+    );
+  });
+
+  it('retries a part missing from the response and reports it with an error', () => {
+    respondWith((part) => (idOf(part) === '2' ? undefined : ok(part)));
+    return runBatch({ oauth2Client, requests: [goal('1'), goal('2')], retryPolicy }).then(
+      ([, missing]) => {
+        assert.strictEqual(missing.ok, false);
+        assert.strictEqual(missing.error.statusCode, 502);
+        assert.match(missing.error.message, /missing from the batch response/);
+        assert.strictEqual(sentBatches().length, retryPolicy.maxAttempts);
+      }
+    );
+  });
+
+  it('sends the requests of each quotaUser in their own batches', () => {
+    respondWith(ok);
+    return runBatch({
+      oauth2Client,
+      requests: [goal('1', '1'), goal('2', '2'), goal('3', '1')],
+      retryPolicy
+    }).then(() =>
+      assert.deepStrictEqual(
+        sentBatches().map(({ options, parts }) => [
+          options.uri.split('quotaUser=')[1],
+          parts.map(idOf)
+        ]),
+        [['1', ['1', '3']], ['2', ['2']]]
+      )
+    );
+  });
+});
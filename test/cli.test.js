@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { publish } = require('./fakeAnalytics');
+const { respondWith } = require('./fakeBatchelor');
+const { EXIT_CODES, run } = require('../src/cli');
+
+const reference = {
+  accountId: '1',
+  webPropertyId: 'UA-1-1',
+  webProperty: { name: 'Site', websiteUrl: 'https://example.com' },
+  views: [{ view: { name: 'Raw', uniqueKey: 'name' }, goals: [], filters: [] }]
+};
+
+function stream() {
+  const chunks = [];
+  return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+describe('cli', () => {
+  let dir;
+  let files;
+  const gamanip = (...argv) => {
+    const stdout = stream();
+    const stderr = stream();
+    return run(argv, { stdout, stderr, env: { GAMANIP_TOKEN: files.token } }).then((code) => ({
+      code,
+      stdout: stdout.text(),
+      stderr: stderr.text()
+    }));
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamanip-'));
+    files = { token: path.join(dir, 'token.json'), reference: path.join(dir, 'reference.json') };
+    fs.writeFileSync(
+      files.token,
+      JSON.stringify({ client_id: 'id', client_secret: 'secret', refresh_token: 'refresh' })
+    );
+    fs.writeFileSync(files.reference, JSON.stringify(reference));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  beforeEach(() =>
+    publish({
+      webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+      profiles: [{ id: '100', name: 'All Web Site Data', webPropertyId: 'UA-1-1' }]
+    }));
+
+  it('exits with the usage code on an unknown command', () =>
+    gamanip('deploy').then(({ code, stderr }) => {
+      assert.strictEqual(code, EXIT_CODES.usage);
+      assert.match(stderr, /unknown command deploy/);
+    }));
+
+  it('exits with the usage code without credentials', () =>
+    run(['plan', files.reference], { stdout: stream(), stderr: stream(), env: {} }).then((code) =>
+      assert.strictEqual(code, EXIT_CODES.usage)
+    ));
+
+  it('exits with the changes code when plan has changes and --detailed-exitcode', () =>
+    gamanip('plan', files.reference, '--detailed-exitcode').then(({ code, stdout }) => {
+      assert.strictEqual(code, EXIT_CODES.changes);
+      assert.match(stdout, /^insert view "Raw"$/m);
+      assert.match(stdout, /1 changes: 1 insert/);
+    }));
+
+  it('exits with success when plan has changes without --detailed-exitcode', () =>
+    gamanip('plan', files.reference).then(({ code }) => assert.strictEqual(code, EXIT_CODES.ok)));
+
+  it('prints the failed operations of apply and exits with the failure code', () => {
+    respondWith(() => ({
+      statusCode: '403',
+      statusMessage: 'Forbidden',
+      body: { error: { code: 403, message: 'User does not have permission' } }
+    }));
+    return gamanip('apply', files.reference).then(({ code, stderr }) => {
+      assert.strictEqual(code, EXIT_CODES.failure);
+      assert.match(stderr, /^error: Forbidden User does not have permission$/m);
+      assert.match(
+        stderr,
+        /^ {2}failed to insert view "Raw": Forbidden User does not have permission$/m
+      );
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { diff, plan } = require('../src/gaApi');
+
+const webProperty = { id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' };
+
+function planDimensions(customDimensions, options = {}) {
+  return plan({
+    oauth2Client,
+    logger: false,
+    referenceObject: { accountId: '1', webPropertyId: 'UA-1-1', customDimensions },
+    ...options
+  }).then((operations) => operations.filter(({ type }) => type === 'customDimension'));
+}
+
+function dimension(index, name) {
+  return { id: `ga:dimension${index}`, index, name, scope: 'HIT', active: true };
+}
+
+describe('custom dimensions', () => {
+  beforeEach(() =>
+    publish({ webproperties: [webProperty], customDimensions: [dimension(1, 'Author')] }));
+
+  it('matches the published dimension by index', () =>
+    planDimensions([{ index: 1, name: 'Author', scope: 'HIT' }]).then((operations) =>
+      assert.deepStrictEqual(operations.map(({ action, id }) => [action, id]), [
+        ['noop', 'ga:dimension1']
+      ])
+    ));
+
+  it('matches the published dimension by name', () =>
+    planDimensions([{ name: 'Author', scope: 'SESSION' }]).then((operations) =>
+      assert.deepStrictEqual(operations.map(({ action, id }) => [action, id]), [
+        ['patch', 'ga:dimension1']
+      ])
+    ));
+
+  it('takes the lowest free index for a new dimension', () =>
+    planDimensions([{ name: 'Category', scope: 'HIT' }]).then(([operation]) => {
+      assert.strictEqual(operation.action, 'insert');
+      assert.strictEqual(operation.desired.index, 2);
+    }));
+
+  it('fills the gap before the declared index with inactive placeholders', () =>
+    planDimensions([{ index: 4, name: 'Plan', scope: 'USER' }]).then((operations) =>
+      assert.deepStrictEqual(
+        operations
+          .filter(({ action }) => action === 'insert')
+          .map(({ desired }) => [desired.index, desired.name, desired.active !== false]),
+        [[2, 'Unused 2', false], [3, 'Unused 3', false], [4, 'Plan', true]]
+      )
+    ));
+
+  it('refuses to repurpose a published index without force', () =>
+    planDimensions([{ index: 1, name: 'Category', scope: 'HIT' }]).then(
+      () => assert.fail('should be rejected'),
+      (error) => {
+        assert.strictEqual(error.statusCode, 412);
+        assert.match(error.message, /published as Author, declared as Category/);
+      }
+    ));
+
+  it('repurposes a published index with force', () =>
+    planDimensions([{ index: 1, name: 'Category', scope: 'HIT' }], { force: true }).then(
+      ([operation]) => {
+        assert.strictEqual(operation.action, 'patch');
+        assert.strictEqual(operation.desired.name, 'Category');
+      }
+    ));
+
+  it('rejects an index over the limit of 20 of a standard property', () =>
+    planDimensions([{ index: 21, name: 'Extra', scope: 'HIT' }]).then(
+      () => assert.fail('should be rejected'),
+      (error) => assert.match(error.message, /over the limit of 20 of STANDARD property/)
+    ));
+
+  it('accepts an index over 20 of a premium property', () => {
+    publish({ webproperties: [{ ...webProperty, level: 'PREMIUM' }], customDimensions: [] });
+    return planDimensions([{ index: 21, name: 'Extra', scope: 'HIT' }]).then((operations) =>
+      assert.strictEqual(operations.filter(({ action }) => action === 'insert').length, 21)
+    );
+  });
+
+  it('rejects an index over the limit of 200 of a premium property', () => {
+    publish({ webproperties: [{ ...webProperty, level: 'PREMIUM' }], customDimensions: [] });
+    return planDimensions([{ index: 201, name: 'Extra', scope: 'HIT' }]).then(
+      () => assert.fail('should be rejected'),
+      (error) => assert.strictEqual(error.statusCode, 412)
+    );
+  });
+});
+
+describe('diff of custom dimensions', () => {
+  beforeEach(() =>
+    publish({
+      webproperties: [webProperty],
+      customDimensions: [dimension(1, 'Author'), dimension(2, 'Plan')]
+    }));
+
+  const diffDimensions = (customDimensions) =>
+    diff({
+      oauth2Client,
+      referenceObject: { accountId: '1', webPropertyId: 'UA-1-1', customDimensions }
+    }).then((drifts) => drifts.map(({ kind, path }) => `${kind} ${path}`));
+
+  it('matches the dimensions declared by name whatever their position', () =>
+    diffDimensions([{ name: 'Plan', scope: 'HIT' }, { name: 'Author', scope: 'HIT' }]).then(
+      (drifts) => assert.deepStrictEqual(drifts, [])
+    ));
+
+  it('matches the declared index first, as make does', () =>
+    diffDimensions([
+      { name: 'Author', scope: 'HIT' },
+      { id: 'ga:dimension1', name: 'Category' }
+    ]).then((drifts) =>
+      assert.deepStrictEqual(drifts, [
+        'missing customDimensions[0]',
+        'changed customDimensions[1].name',
+        'extra customDimensions[1]'
+      ])
+    ));
+});
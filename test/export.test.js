@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { exportReferenceObject, makeMany, retargetReferenceObject } = require('../src/gaApi');
+
+const published = () => ({
+  webproperties: [
+    { id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' },
+    { id: 'UA-1-2', name: 'Site', websiteUrl: 'https://example.com' }
+  ],
+  customDimensions: [
+    {
+      id: 'ga:dimension1',
+      index: 1,
+      name: 'Plan',
+      scope: 'USER',
+      active: true,
+      webPropertyId: 'UA-1-1'
+    },
+    {
+      id: 'ga:dimension1',
+      index: 1,
+      name: 'Plan',
+      scope: 'USER',
+      active: true,
+      webPropertyId: 'UA-1-2'
+    }
+  ],
+  profiles: [
+    { id: '100', name: 'All Web Site Data', webPropertyId: 'UA-1-1' },
+    { id: '200', name: 'All Web Site Data', webPropertyId: 'UA-1-2' }
+  ],
+  filters: [
+    {
+      id: '9',
+      name: 'Internal',
+      type: 'EXCLUDE',
+      excludeDetails: { field: 'GEO_IP_ADDRESS', matchType: 'EQUAL', expressionValue: '10.0.0.1' }
+    }
+  ],
+  profileFilterLinks: [{ id: '100:9', profileId: '100', filterRef: { id: '9' }, rank: 1 }]
+});
+
+const snapshot = () =>
+  exportReferenceObject({
+    from: { oauth2Client, accountId: '1', webPropertyId: 'UA-1-1' }
+  }).then(({ referenceObject }) => referenceObject.toJson());
+
+describe('export', () => {
+  beforeEach(() => publish(published()));
+
+  it('replays the snapshot on another property of the account', () =>
+    snapshot()
+      .then((template) =>
+        makeMany({
+          oauth2Client,
+          template,
+          targets: [{ accountId: '1', webPropertyId: 'UA-1-2' }],
+          dryRun: true,
+          logger: false
+        })
+      )
+      .then(([summary]) => {
+        assert.strictEqual(summary.status, 'changed', summary.error && summary.error.message);
+        const changes = summary.result
+          .filter(({ action }) => action !== 'noop')
+          .map(({ action, type, profileId }) => `${action} ${type} ${profileId}`);
+        assert.deepStrictEqual(changes, ['insert filterLink 200']);
+      }));
+
+  it('keeps the ids on the same property', () =>
+    snapshot().then((template) => {
+      const same = retargetReferenceObject(template, { accountId: '1', webPropertyId: 'UA-1-1' });
+      assert.strictEqual(same.views[0].view.id, '100');
+      assert.strictEqual(same.customDimensions[0].id, 'ga:dimension1');
+    }));
+
+  it('drops the ids of the views, customs and filters of another account', () =>
+    snapshot().then((template) => {
+      const other = retargetReferenceObject(template, { accountId: '2', webPropertyId: 'UA-2-1' });
+      assert.strictEqual(other.webProperty.id, 'UA-2-1');
+      assert.strictEqual(other.views[0].view.id, undefined);
+      assert.strictEqual(other.views[0].view.name, 'All Web Site Data');
+      assert.deepStrictEqual(other.customDimensions[0], {
+        index: 1,
+        name: 'Plan',
+        scope: 'USER',
+        active: true
+      });
+      assert.strictEqual(other.views[0].filters[0].id, undefined);
+      assert.strictEqual(other.views[0].filters[0].name, 'Internal');
+    }));
+});
@@ -0,0 +1,114 @@
+/**
+ * In-memory Management API for the tests, it replaces googleapis in the require cache,
+ * so it has to be required before src/gaApi.js. Only the reads are served, the tests plan,
+ * the reports are answered by the responder of respondReports().
+ */
+const ID_PARAMS = {
+  webproperties: 'webPropertyId',
+  profiles: 'profileId',
+  customDimensions: 'customDimensionId',
+  customMetrics: 'customMetricId',
+  goals: 'goalId',
+  filters: 'filterId'
+};
+
+let store = {};
+let failures = {};
+let reports = () => Promise.resolve({ data: {} });
+
+function resource(name) {
+  // the items without webPropertyId or profileId belong to every property or view, ~all lists all
+  const matches = (param, value) => !param || param === '~all' || !value || param === value;
+  const itemsOf = (params) =>
+    (store[name] || []).filter(
+      ({ webPropertyId, profileId }) =>
+        matches(params.webPropertyId, webPropertyId) &&
+        (!params.profileId || params.profileId === '~all' || profileId === params.profileId)
+    );
+  return {
+    list: (params) => {
+      if ((failures[name] || []).length > 0) return Promise.reject(failures[name].shift());
+      const items = itemsOf(params);
+      const start = (params['start-index'] || 1) - 1;
+      const page = items.slice(start, start + (params['max-results'] || items.length));
+      return Promise.resolve({ data: { items: page, totalResults: items.length } });
+    },
+    get: (params) =>
+      Promise.resolve({ data: itemsOf(params).find(({ id }) => id === params[ID_PARAMS[name]]) })
+  };
+}
+
+const management = [
+  'webproperties',
+  'profiles',
+  'customDimensions',
+  'customMetrics',
+  'goals',
+  'filters',
+  'profileFilterLinks',
+  'accountUserLinks',
+  'webpropertyUserLinks',
+  'profileUserLinks'
+].reduce((r, name) => ({ ...r, [name]: resource(name) }), {});
+
+class FakeOAuth2 {
+  constructor() {
+    this.credentials = { access_token: 'token' };
+  }
+
+  setCredentials(credentials) {
+    this.credentials = { ...this.credentials, ...credentials };
+  }
+
+  refreshAccessToken() {
+    return Promise.resolve({ credentials: this.credentials });
+  }
+}
+
+const googleapis = require.resolve('googleapis');
+require.cache[googleapis] = {
+  id: googleapis,
+  filename: googleapis,
+  loaded: true,
+  exports: {
+    google: {
+      analytics: () => ({
+        management,
+        data: { ga: { get: (params) => reports(params) }, realtime: {}, mcf: {} }
+      }),
+      analyticsreporting: () => ({ reports: {} }),
+      webmasters: () => ({}),
+      auth: { OAuth2: FakeOAuth2, JWT: FakeOAuth2 }
+    }
+  }
+};
+
+/**
+ * Replace the published resources.
+ * @param published { object } items of the resources by the name of the resource, e.g. customDimensions
+ */
+function publish(published) {
+  store = published;
+  failures = {};
+}
+
+/**
+ * Reject the next lists of the resource with the errors, one error per list.
+ * @param name { string } name of the resource, e.g. profiles
+ * @param errors { Array.<Error> } the errors in order
+ */
+function failLists(name, ...errors) {
+  failures[name] = (failures[name] || []).concat(errors);
+}
+
+const oauth2Client = new FakeOAuth2();
+
+/**
+ * Answer the Core Reporting API queries.
+ * @param respond { Function } called with the params of data.ga.get, returns the data of the response
+ */
+function respondReports(respond) {
+  reports = (params) => Promise.resolve().then(() => ({ data: respond(params) }));
+}
+
+module.exports = { publish, failLists, respondReports, oauth2Client };
@@ -0,0 +1,59 @@
+/**
+ * Batchelor for the tests, it replaces batchelor in the require cache,
+ * so it has to be required before src/batch.js. The parts are answered by the responder.
+ */
+let responder = () => ({ statusCode: '200', body: {} });
+let batches = [];
+
+class Batchelor {
+  constructor(options) {
+    this.options = options;
+    this.parts = [];
+    batches.push(this);
+  }
+
+  add(part) {
+    this.parts.push(part);
+  }
+
+  run(callback) {
+    Promise.resolve()
+      .then(() => this.parts.map((part) => ({ part, response: responder(part, batches.length) })))
+      .then((responses) =>
+        callback(null, {
+          parts: responses.filter(({ response }) => !!response).map(({ part, response }) => ({
+            headers: { 'Content-ID': part.requestId },
+            ...response
+          }))
+        })
+      )
+      .catch((error) => callback(error));
+  }
+}
+
+const batchelor = require.resolve('batchelor');
+require.cache[batchelor] = {
+  id: batchelor,
+  filename: batchelor,
+  loaded: true,
+  exports: Batchelor
+};
+
+/**
+ * Answer the parts of the next batches.
+ * @param respond { Function } called with the part and the number of the batch, returns
+ * `{ statusCode, body }`, nothing leaves the part out of the response, a throw fails the batch
+ */
+function respondWith(respond) {
+  responder = respond;
+  batches = [];
+}
+
+/**
+ * The batches sent since the last respondWith.
+ */
+function sentBatches() {
+  return batches;
+}
+
+module.exports = { respondWith, sentBatches };
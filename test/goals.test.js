@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { plan } = require('../src/gaApi');
+
+const timeOnSite = { comparisonType: 'GREATER_THAN', comparisonValue: 60 };
+
+function goal(id, name) {
+  return {
+    id: `${id}`,
+    profileId: '100',
+    name,
+    active: true,
+    type: 'VISIT_TIME_ON_SITE',
+    visitTimeOnSiteDetails: timeOnSite
+  };
+}
+
+function planGoals(goals) {
+  return plan({
+    oauth2Client,
+    logger: false,
+    referenceObject: {
+      accountId: '1',
+      webPropertyId: 'UA-1-1',
+      views: [{ view: { id: '100' }, goals, filters: [] }]
+    }
+  }).then((operations) =>
+    operations
+      .filter(({ type }) => type === 'goal')
+      .map(({ action, id, desired }) => [action, id, desired.name])
+  );
+}
+
+function declared(name, fields = {}) {
+  return { name, type: 'VISIT_TIME_ON_SITE', visitTimeOnSiteDetails: timeOnSite, ...fields };
+}
+
+describe('goals', () => {
+  beforeEach(() =>
+    publish({
+      webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+      profiles: [{ id: '100', name: 'All Web Site Data', webPropertyId: 'UA-1-1' }],
+      goals: [goal(1, 'Signup'), goal(3, 'Lead')]
+    }));
+
+  it('matches the published goal by name', () =>
+    planGoals([declared('Lead')]).then((operations) =>
+      assert.deepStrictEqual(operations, [['noop', '3', 'Lead']])
+    ));
+
+  it('matches the published goal by id before name', () =>
+    planGoals([declared('Lead', { id: 1 })]).then((operations) =>
+      assert.deepStrictEqual(operations, [['patch', '1', 'Lead']])
+    ));
+
+  it('takes the lowest free id for a new goal', () =>
+    planGoals([declared('Signup'), declared('Purchase')]).then((operations) =>
+      assert.deepStrictEqual(operations, [['noop', '1', 'Signup'], ['insert', '2', 'Purchase']])
+    ));
+
+  it('rejects a new goal when the 20 ids are taken', () => {
+    const published = Array.from({ length: 20 }, (item, idx) => goal(idx + 1, `Goal ${idx + 1}`));
+    publish({
+      webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+      profiles: [{ id: '100', name: 'All Web Site Data', webPropertyId: 'UA-1-1' }],
+      goals: published
+    });
+    return planGoals([declared('Purchase')]).then(
+      () => assert.fail('should be rejected'),
+      (error) => {
+        assert.strictEqual(error.statusCode, 412);
+        assert.match(error.message, /no free goal id/);
+      }
+    );
+  });
+});
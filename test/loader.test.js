@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTemplate, parseTemplate } = require('../src/loader');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const variables = {
+  accountId: '123',
+  websiteUrl: 'https://example.com',
+  officeIp: '10.0.0.1'
+};
+
+describe('loader', () => {
+  it('merges custom dimensions of the template into the base by index', () =>
+    loadTemplate({ file: path.join(__dirname, 'fixtures/client.yaml'), variables }).then(
+      ({ customDimensions }) =>
+        assert.deepStrictEqual(customDimensions, [
+          { index: 1, name: 'Client Id', scope: 'USER' },
+          { index: 2, name: 'Category', scope: 'HIT' },
+          { index: 3, name: 'Plan', scope: 'SESSION' }
+        ])
+    ));
+
+  it('merges views by uniqueKey and goals of the fragments by name', () =>
+    loadTemplate({ file: path.join(__dirname, 'fixtures/client.yaml'), variables }).then(
+      ({ views }) => {
+        assert.deepStrictEqual(views.map(({ view }) => view.name), ['All Web Site Data', 'Test']);
+        const [{ view, goals, filters }] = views;
+        assert.strictEqual(view.currency, 'EUR');
+        assert.deepStrictEqual(goals.map(({ name, value }) => [name, value]), [
+          ['Signup', 5],
+          ['Lead', undefined]
+        ]);
+        assert.strictEqual(goals[0].urlDestinationDetails.url, '/thanks');
+        assert.strictEqual(filters[0].excludeDetails.expressionValue, '10.0.0.1');
+      }
+    ));
+
+  it('drops the $remove items which match nothing', () =>
+    loadTemplate({ file: path.join(__dirname, 'fixtures/client.yaml'), variables }).then(
+      ({ views }) => assert.deepStrictEqual(views[1].goals, [])
+    ));
+
+  it('keeps the type of a value which is only a variable', () =>
+    parseTemplate({
+      source: 'views: [ { view: { name: A, botFilteringEnabled: "${bots}" } } ]',
+      variables: { bots: true }
+    }).then(({ views }) => assert.strictEqual(views[0].view.botFilteringEnabled, true)));
+
+  it('reports all the undefined variables and unknown fragments', () =>
+    loadTemplate({ file: path.join(__dirname, 'fixtures/client.yaml') }).then(
+      () => assert.fail('should be rejected'),
+      (error) => {
+        assert.strictEqual(error.statusCode, 412);
+        assert.match(error.message, /accountId uses undefined variable accountId/);
+        assert.match(error.message, /uses undefined variable officeIp/);
+      }
+    ));
+
+  it('rejects an unknown fragment', () =>
+    parseTemplate({
+      source: 'views: [ { view: { name: A }, goals: [ { $fragment: nope } ] } ]'
+    }).then(
+      () => assert.fail('should be rejected'),
+      (error) => assert.match(error.message, /unknown fragment nope/)
+    ));
+
+  describe('$remove', () => {
+    const extend = (source) =>
+      parseTemplate({ source: `extends: ./base.yaml\n${source}`, basedir: fixtures, variables });
+
+    it('removes an inherited custom dimension by index', () =>
+      extend('customDimensions: [ { index: 2, $remove: true } ]').then(({ customDimensions }) =>
+        assert.deepStrictEqual(customDimensions, [{ index: 1, name: 'Client Id', scope: 'USER' }])
+      ));
+
+    it('removes a goal the base took from a fragment', () =>
+      extend(
+        'views: [ { view: { name: All Web Site Data, uniqueKey: name }, goals: [ { name: Signup, $remove: true } ] } ]'
+      ).then(({ views }) => assert.deepStrictEqual(views[0].goals, [])));
+
+    it('declares the removed item again from scratch', () =>
+      extend(
+        [
+          'views:',
+          '  - { view: { name: All Web Site Data, uniqueKey: name }, $remove: true }',
+          '  - { view: { name: All Web Site Data, uniqueKey: name, currency: JPY } }'
+        ].join('\n')
+      ).then(({ views }) => {
+        assert.deepStrictEqual(views.map(({ view }) => view.name), ['Raw', 'All Web Site Data']);
+        assert.deepStrictEqual(views[1], {
+          view: { name: 'All Web Site Data', uniqueKey: 'name', currency: 'JPY' }
+        });
+      }));
+
+    it('keeps an item with $remove false without the marker', () =>
+      extend('customDimensions: [ { index: 2, name: Author, $remove: false } ]').then(
+        ({ customDimensions }) =>
+          assert.deepStrictEqual(customDimensions[1], { index: 2, name: 'Author', scope: 'HIT' })
+      ));
+  });
+
+  describe('fragments', () => {
+    it('override the fragments of the base for the items of the template only', () =>
+      parseTemplate({
+        source: [
+          'extends: ./base.yaml',
+          'fragments: { goals: { signup: { urlDestinationDetails: { url: /welcome } } } }',
+          'views: [ { view: { name: Test }, goals: [ { $fragment: signup } ] } ]'
+        ].join('\n'),
+        basedir: fixtures,
+        variables
+      }).then(({ views }) => {
+        const urlOf = ({ goals }) => goals[0].urlDestinationDetails;
+        assert.deepStrictEqual(urlOf(views[0]), { url: '/thanks', matchType: 'HEAD' });
+        assert.deepStrictEqual(urlOf(views[2]), { url: '/welcome', matchType: 'HEAD' });
+        assert.strictEqual(views[2].goals[0].name, 'Signup');
+      }));
+
+    it('are not left in the reference object', () =>
+      loadTemplate({ file: path.join(fixtures, 'client.yaml'), variables }).then((definition) => {
+        assert.strictEqual(definition.fragments, undefined);
+        assert.strictEqual(definition.variables, undefined);
+        assert.strictEqual(definition.extends, undefined);
+      }));
+  });
+
+  it('rejects a template which extends itself', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamanip-'));
+    fs.writeFileSync(path.join(dir, 'a.yaml'), 'extends: ./b.yaml\n');
+    fs.writeFileSync(path.join(dir, 'b.yaml'), 'extends: ./a.yaml\n');
+    return loadTemplate({ file: path.join(dir, 'a.yaml') })
+      .then(
+        () => assert.fail('should be rejected'),
+        (error) => {
+          assert.strictEqual(error.statusCode, 412);
+          assert.match(error.message, /template extends itself: .*a\.yaml > .*b\.yaml > .*a\.yaml/);
+        }
+      )
+      .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+});
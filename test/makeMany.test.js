@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, failLists, oauth2Client } = require('./fakeAnalytics');
+const { makeMany } = require('../src/gaApi');
+
+const targets = [
+  { accountId: '1', webPropertyId: 'UA-1-1' },
+  { accountId: '1', webPropertyId: 'UA-1-2' },
+  { accountId: '2', webPropertyId: 'UA-2-1' }
+];
+
+const rateLimited = () => ({
+  message: 'Quota Error: User Rate Limit Exceeded',
+  response: {
+    status: 403,
+    statusText: 'Forbidden',
+    data: { error: { errors: [{ reason: 'userRateLimitExceeded' }] } }
+  }
+});
+
+function run(options = {}) {
+  const started = [];
+  const paused = [];
+  return makeMany({
+    oauth2Client,
+    targets,
+    template: ({ webPropertyId }) => {
+      started.push(webPropertyId);
+      return { webProperty: { name: 'Site', websiteUrl: 'https://example.com' }, views: [] };
+    },
+    concurrency: 1,
+    quotaDelay: 20,
+    dryRun: true,
+    prune: true,
+    logger: false,
+    retryPolicy: { maxAttempts: 1 },
+    emitter: { emit: (event, payload) => event === 'account:paused' && paused.push(payload) },
+    ...options
+  }).then((summaries) => ({ summaries, started, paused }));
+}
+
+describe('makeMany', () => {
+  beforeEach(() =>
+    publish({
+      webproperties: targets.map(({ webPropertyId }) => ({
+        id: webPropertyId,
+        name: 'Site',
+        websiteUrl: 'https://example.com'
+      }))
+    }));
+
+  it('pauses the account on a quota error and goes on with the other accounts', () => {
+    failLists('profiles', rateLimited());
+    return run().then(({ summaries, started, paused }) => {
+      assert.deepStrictEqual(started, ['UA-1-1', 'UA-2-1', 'UA-1-1', 'UA-1-2']);
+      assert.deepStrictEqual(paused.map(({ accountId, delay }) => [accountId, delay]), [['1', 20]]);
+      assert.deepStrictEqual(summaries.map(({ status }) => status), [
+        'unchanged',
+        'unchanged',
+        'unchanged'
+      ]);
+    });
+  });
+
+  it('doubles the pause of the account each time', () => {
+    failLists('profiles', rateLimited(), rateLimited());
+    return run({ targets: targets.slice(0, 2) }).then(({ started, paused }) => {
+      assert.deepStrictEqual(started, ['UA-1-1', 'UA-1-1', 'UA-1-1', 'UA-1-2']);
+      assert.deepStrictEqual(paused.map(({ delay }) => delay), [20, 40]);
+    });
+  });
+
+  it('fails the target after maxQuotaPauses, the next targets are made', () => {
+    failLists('profiles', rateLimited(), rateLimited());
+    return run({ targets: targets.slice(0, 2), maxQuotaPauses: 1 }).then(({ summaries }) => {
+      assert.deepStrictEqual(
+        summaries.map(({ webPropertyId, status }) => [webPropertyId, status]),
+        [['UA-1-1', 'failed'], ['UA-1-2', 'unchanged']]
+      );
+      assert.match(summaries[0].error.message, /User Rate Limit Exceeded/);
+    });
+  });
+
+  it('does not pause on other errors', () => {
+    failLists('profiles', {
+      message: 'Not Found',
+      response: { status: 404, statusText: 'Not Found' }
+    });
+    return run().then(({ summaries, paused }) => {
+      assert.deepStrictEqual(paused, []);
+      assert.deepStrictEqual(summaries.map(({ status }) => status), [
+        'failed',
+        'unchanged',
+        'unchanged'
+      ]);
+    });
+  });
+});
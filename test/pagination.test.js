@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { listAll, iterateList } = require('../src/pagination');
+const { getViews, iterate } = require('../src/gaApi');
+
+/**
+ * Paged list of the numbers 1..total, it keeps the pages it was asked for.
+ */
+function numbers(total, { withTotal = true } = {}) {
+  const pages = [];
+  const list = (page) => {
+    pages.push([page['start-index'], page['max-results']]);
+    const start = page['start-index'] - 1;
+    const items = Array.from({ length: total }, (v, idx) => idx + 1).slice(
+      start,
+      start + page['max-results']
+    );
+    const more = start + items.length < total;
+    return Promise.resolve({
+      data: withTotal
+        ? { items, totalResults: total }
+        : { items, nextLink: more ? 'next' : undefined }
+    });
+  };
+  return { list, pages };
+}
+
+function collect(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const next = (items) =>
+    iterator.next().then(({ done, value }) => (done ? items : next(items.concat(value))));
+  return next([]);
+}
+
+describe('listAll', () => {
+  it('follows the pages till totalResults', () => {
+    const { list, pages } = numbers(5);
+    return listAll(list, { pageSize: 2 }).then((items) => {
+      assert.deepStrictEqual(items, [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual(pages, [[1, 2], [3, 2], [5, 2]]);
+    });
+  });
+
+  it('follows nextLink when there is no totalResults', () =>
+    listAll(numbers(3, { withTotal: false }).list, { pageSize: 2 }).then((items) =>
+      assert.deepStrictEqual(items, [1, 2, 3])
+    ));
+
+  it('stops at maxItems and asks only for the missing items', () => {
+    const { list, pages } = numbers(10);
+    return listAll(list, { pageSize: 4, maxItems: 6 }).then((items) => {
+      assert.deepStrictEqual(items, [1, 2, 3, 4, 5, 6]);
+      assert.deepStrictEqual(pages, [[1, 4], [5, 2]]);
+    });
+  });
+});
+
+describe('iterateList', () => {
+  it('reads the next page only when the items of the previous one are consumed', () => {
+    const { list, pages } = numbers(5);
+    const iterator = iterateList(list, { pageSize: 2 })[Symbol.asyncIterator]();
+    return iterator
+      .next()
+      .then(() => iterator.next())
+      .then(({ value }) => {
+        assert.strictEqual(value, 2);
+        assert.strictEqual(pages.length, 1);
+        return iterator.next();
+      })
+      .then(({ value }) => {
+        assert.strictEqual(value, 3);
+        assert.strictEqual(pages.length, 2);
+      });
+  });
+
+  it('retries a failed page with backOff', () => {
+    const { list, pages } = numbers(3);
+    let failed = false;
+    const flaky = (page) => {
+      if (page['start-index'] === 3 && !failed) {
+        failed = true;
+        return Promise.reject(Object.assign(new Error('backend'), { statusCode: 503 }));
+      }
+      return list(page);
+    };
+    return collect(
+      iterateList(flaky, { pageSize: 2, retryPolicy: { baseDelay: 1, maxDelay: 1 } })
+    ).then((items) => {
+      assert.deepStrictEqual(items, [1, 2, 3]);
+      assert.deepStrictEqual(pages, [[1, 2], [3, 2]]);
+    });
+  });
+
+  it('resumes from startIndex and reports the index of the next page', () => {
+    const progress = [];
+    return collect(
+      iterateList(numbers(5).list, {
+        pageSize: 2,
+        startIndex: 3,
+        onPage: (page) => progress.push(page)
+      })
+    ).then((items) => {
+      assert.deepStrictEqual(items, [3, 4, 5]);
+      assert.deepStrictEqual(progress, [
+        { startIndex: 3, nextIndex: 5, totalResults: 5 },
+        { startIndex: 5, nextIndex: 6, totalResults: 5 }
+      ]);
+    });
+  });
+});
+
+describe('management lists', () => {
+  const views = Array.from({ length: 5 }, (v, idx) => ({
+    id: `${100 + idx}`,
+    name: `View ${idx}`,
+    webPropertyId: 'UA-1-1'
+  }));
+  const from = { oauth2Client, accountId: '1', webPropertyId: 'UA-1-1' };
+
+  it('read all the pages', () => {
+    publish({ profiles: views });
+    return getViews({ from, pageSize: 2 }).then(({ views: read }) =>
+      assert.deepStrictEqual(read.map(({ id }) => id), ['100', '101', '102', '103', '104'])
+    );
+  });
+
+  it('are iterated lazily up to maxItems', () => {
+    publish({ profiles: views });
+    return collect(iterate({ from, list: 'views', pageSize: 2, maxItems: 3 })).then((read) =>
+      assert.deepStrictEqual(read.map(({ id }) => id), ['100', '101', '102'])
+    );
+  });
+});
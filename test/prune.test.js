@@ -0,0 +1,163 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { plan } = require('../src/gaApi');
+
+const published = () => ({
+  webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+  profiles: [
+    { id: '100', name: 'All Web Site Data', webPropertyId: 'UA-1-1' },
+    { id: '101', name: 'Raw', webPropertyId: 'UA-1-1' },
+    { id: '102', name: 'Staging', webPropertyId: 'UA-1-1' }
+  ]
+});
+
+const views = (...declared) => declared.map((view) => ({ view, goals: [], filters: [] }));
+
+const viewOperations = (options) =>
+  plan({
+    oauth2Client,
+    logger: false,
+    prune: true,
+    ...options,
+    referenceObject: { accountId: '1', webPropertyId: 'UA-1-1', ...options.referenceObject }
+  }).then((operations) =>
+    operations
+      .filter(({ type }) => type === 'view')
+      .map(({ action, id, prune }) => `${action} ${id || ''}${prune ? ' prune' : ''}`.trim())
+  );
+
+describe('prune of views', () => {
+  beforeEach(() => publish(published()));
+
+  it('keeps a view declared by name only and prunes the undeclared ones', () =>
+    viewOperations({ referenceObject: { views: views({ name: 'Raw' }) } }).then((operations) =>
+      assert.deepStrictEqual(operations, ['delete 100 prune', 'delete 102 prune', 'noop 101'])
+    ));
+
+  it('keeps a view declared by uniqueKey', () =>
+    viewOperations({
+      referenceObject: {
+        views: views({ name: 'Staging', uniqueKey: 'name' }, { id: 100, name: 'All Web Site Data' })
+      }
+    }).then((operations) =>
+      assert.deepStrictEqual(operations.sort(), ['delete 101 prune', 'noop 100', 'noop 102'])
+    ));
+
+  it('inserts a view which matches nothing without pruning more', () =>
+    viewOperations({
+      referenceObject: { views: views({ name: 'Raw' }, { name: 'New' }) },
+      protect: ['All Web Site Data', /^Stag/]
+    }).then((operations) => assert.deepStrictEqual(operations, ['noop 101', 'insert'])));
+
+  it('stops before any prune when a declared view id is not published', () =>
+    viewOperations({ referenceObject: { views: views({ id: '999', name: 'Gone' }) } }).then(
+      () => assert.fail('should be rejected'),
+      (error) => {
+        assert.strictEqual(error.statusCode, 404);
+        assert.match(error.message, /view 999 is not found/);
+      }
+    ));
+
+  it('prunes nothing without prune', () =>
+    viewOperations({ prune: false, referenceObject: { views: views({ name: 'Raw' }) } }).then(
+      (operations) => assert.deepStrictEqual(operations, ['noop 101'])
+    ));
+});
+
+describe('prune of custom dimensions and filters', () => {
+  const excludeDetails = (expressionValue) => ({
+    field: 'GEO_IP_ADDRESS',
+    matchType: 'EQUAL',
+    expressionValue
+  });
+  const dimension = (index, name) => ({
+    id: `ga:dimension${index}`,
+    index,
+    name,
+    scope: 'HIT',
+    active: true,
+    webPropertyId: 'UA-1-1'
+  });
+  const link = (profileId, id, name, rank) => ({
+    id: `${profileId}:${id}`,
+    profileId,
+    filterRef: { id, name },
+    rank
+  });
+
+  beforeEach(() =>
+    publish({
+      ...published(),
+      customDimensions: [dimension(1, 'Author'), dimension(2, 'Legacy')],
+      filters: [
+        { id: '9', name: 'Internal', type: 'EXCLUDE', excludeDetails: excludeDetails('10.0.0.1') },
+        { id: '10', name: 'Old', type: 'EXCLUDE', excludeDetails: excludeDetails('10.0.0.2') }
+      ],
+      profileFilterLinks: [
+        link('100', '9', 'Internal', 1),
+        link('100', '10', 'Old', 2),
+        link('101', '10', 'Old', 1)
+      ]
+    }));
+
+  const pruned = (options = {}) =>
+    plan({
+      oauth2Client,
+      logger: false,
+      prune: true,
+      ...options,
+      referenceObject: {
+        accountId: '1',
+        webPropertyId: 'UA-1-1',
+        customDimensions: [{ index: 1, name: 'Author', scope: 'HIT' }],
+        views: [
+          {
+            view: { name: 'All Web Site Data' },
+            goals: [],
+            filters: [
+              { name: 'Internal', type: 'EXCLUDE', excludeDetails: excludeDetails('10.0.0.1') }
+            ]
+          },
+          { view: { name: 'Raw' }, goals: [], filters: [] },
+          { view: { name: 'Staging' } }
+        ]
+      }
+    }).then((operations) =>
+      operations
+        .filter(({ prune }) => prune)
+        .map(
+          ({ action, type, id, desired = {} }) =>
+            `${action} ${type} ${id}${desired.active === false ? ' inactive' : ''}`
+        )
+    );
+
+  it('deactivates the custom dimensions, deletes the links and the filters left unlinked', () =>
+    pruned().then((operations) =>
+      assert.deepStrictEqual(operations, [
+        'patch customDimension ga:dimension2 inactive',
+        'delete filterLink 100:10',
+        'delete filterLink 101:10',
+        'delete filter 10'
+      ])
+    ));
+
+  it('keeps a filter linked to a view of another property', () => {
+    publish({ ...published(), profileFilterLinks: [link('300', '10', 'Old', 1)] });
+    return pruned().then((operations) => assert.ok(!~operations.indexOf('delete filter 10')));
+  });
+
+  it('keeps the resources protected by name or function', () =>
+    pruned({
+      protect: ['Old', (resource, type) => type === 'customDimension' && resource.name === 'Legacy']
+    }).then((operations) => assert.deepStrictEqual(operations, [])));
+
+  it('keeps the filter protected by id and unlinks it', () =>
+    pruned({ protect: ['10'] }).then((operations) =>
+      assert.deepStrictEqual(operations, [
+        'patch customDimension ga:dimension2 inactive',
+        'delete filterLink 100:10',
+        'delete filterLink 101:10'
+      ])
+    ));
+});
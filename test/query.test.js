@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { query } = require('../src/query');
+
+const initial = {
+  view: 123,
+  startDate: '30daysAgo',
+  endDate: 'yesterday',
+  metrics: ['sessions'],
+  dimensions: ['pagePath']
+};
+
+describe('query', () => {
+  it('builds the filters of the initial values as filter() does', () => {
+    const built = query({
+      ...initial,
+      filters: [
+        [['pagePath', '=~', '^/blog'], 'ga:pagePath=@news'],
+        { name: 'sessions', operator: '>', value: 10 }
+      ]
+    }).build();
+    const fluent = query(initial)
+      .filter(['pagePath', '=~', '^/blog'], 'ga:pagePath=@news')
+      .filter({ name: 'sessions', operator: '>', value: 10 })
+      .build();
+    assert.strictEqual(built.filters, 'ga:pagePath=~^/blog,ga:pagePath=@news;ga:sessions>10');
+    assert.deepStrictEqual(built, fluent);
+  });
+
+  it('validates the filters of the initial values', () =>
+    assert.throws(
+      () => query({ ...initial, filters: [[['pagePath', '>', 10]], 'pagePath'] }).build(),
+      (error) =>
+        error.statusCode === 412 &&
+        /invalid operator > for ga:pagePath/.test(error.message) &&
+        /invalid filter pagePath/.test(error.message)
+    ));
+
+  it('escapes the separators of the values', () =>
+    assert.strictEqual(
+      query(initial)
+        .filter(['pagePath', '==', '/a,b;c'])
+        .build().filters,
+      'ga:pagePath==/a\\,b\\;c'
+    ));
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { QuotaGovernor, quotaUserOf } = require('../src/quota');
+const { isRetryable } = require('../src/backOff');
+
+const elapsed = (promise) => {
+  const start = Date.now();
+  return promise.then(() => Date.now() - start);
+};
+
+describe('QuotaGovernor', () => {
+  it('rejects the requests over the daily budget with a final 429', () => {
+    const governor = new QuotaGovernor({ dailyRequests: 2 });
+    return governor
+      .acquire({ count: 2 })
+      .then(() => governor.acquire({}))
+      .then(
+        () => assert.fail('should be rejected'),
+        (error) => {
+          assert.strictEqual(error.statusCode, 429);
+          assert.match(error.message, /daily quota of 2 requests/);
+          assert.strictEqual(isRetryable(error), false);
+          assert.strictEqual(governor.usage().requests, 2);
+        }
+      );
+  });
+
+  it('counts the writes per web property, not the reads', () => {
+    const governor = new QuotaGovernor({ dailyWritesPerProperty: 1 });
+    return governor
+      .acquire({ webPropertyId: 'UA-1-1' })
+      .then(() => governor.acquire({ webPropertyId: 'UA-1-1', write: true }))
+      .then(() => governor.acquire({ webPropertyId: 'UA-1-2', write: true }))
+      .then(() => assert.deepStrictEqual(governor.usage().writes, { 'UA-1-1': 1, 'UA-1-2': 1 }))
+      .then(() => governor.acquire({ webPropertyId: 'UA-1-1', write: true }))
+      .then(
+        () => assert.fail('should be rejected'),
+        (error) => assert.match(error.message, /1 writes to UA-1-1 would be exceeded/)
+      );
+  });
+
+  it('delays the requests over the rate of the quotaUser only', () => {
+    const governor = new QuotaGovernor({ queriesPerSecond: 10 });
+    return elapsed(governor.acquire({ quotaUser: 'a', count: 10 }))
+      .then((delay) => assert.ok(delay < 50, `${delay}ms`))
+      .then(() => elapsed(governor.acquire({ quotaUser: 'b' })))
+      .then((delay) => assert.ok(delay < 50, `${delay}ms`))
+      .then(() => elapsed(governor.acquire({ quotaUser: 'a', count: 2 })))
+      .then((delay) => assert.ok(delay >= 150, `${delay}ms`));
+  });
+
+  it('governs the calls of the wrapped api with the quotaUser of the account', () => {
+    const calls = [];
+    const governor = new QuotaGovernor();
+    const api = governor.govern({
+      version: 'v3',
+      goals: {
+        list: (params) => Promise.resolve(calls.push(['list', params])),
+        patch: (params) => Promise.resolve(calls.push(['patch', params]))
+      }
+    });
+    assert.strictEqual(api.version, 'v3');
+    return api.goals
+      .list({ accountId: 1, webPropertyId: 'UA-1-1' })
+      .then(() => api.goals.patch({ accountId: 1, webPropertyId: 'UA-1-1', quotaUser: 'agency' }))
+      .then(() => {
+        assert.deepStrictEqual(calls, [
+          ['list', { accountId: 1, webPropertyId: 'UA-1-1', quotaUser: '1' }],
+          ['patch', { accountId: 1, webPropertyId: 'UA-1-1', quotaUser: 'agency' }]
+        ]);
+        assert.deepStrictEqual(governor.usage().writes, { 'UA-1-1': 1 });
+      });
+  });
+
+  it('takes the account as the quotaUser unless it is set', () => {
+    assert.strictEqual(quotaUserOf({ accountId: 12 }), '12');
+    assert.strictEqual(quotaUserOf({ accountId: 12, quotaUser: 'agency' }), 'agency');
+    assert.strictEqual(quotaUserOf(), undefined);
+  });
+});
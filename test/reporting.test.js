@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { respondReports } = require('./fakeAnalytics');
+const { unsampledReport } = require('../src/reporting');
+
+const columnHeaders = [
+  { name: 'ga:deviceCategory', columnType: 'DIMENSION', dataType: 'STRING' },
+  { name: 'ga:sessions', columnType: 'METRIC', dataType: 'INTEGER' },
+  { name: 'ga:users', columnType: 'METRIC', dataType: 'INTEGER' },
+  { name: 'ga:avgSessionDuration', columnType: 'METRIC', dataType: 'TIME' },
+  { name: 'ga:bounceRate', columnType: 'METRIC', dataType: 'PERCENT' }
+];
+
+const options = {
+  ids: 'ga:123',
+  'start-date': '2026-01-01',
+  'end-date': '2026-02-28',
+  metrics: 'ga:sessions,ga:users,ga:avgSessionDuration,ga:bounceRate',
+  dimensions: 'ga:deviceCategory'
+};
+
+const days = (startDate, endDate) => (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+
+/**
+ * The ranges longer than a week are sampled but January,
+ * each range has the same rows.
+ */
+function sampledOverWeeks(queries) {
+  return (params) => {
+    const { 'start-date': startDate, 'end-date': endDate } = params;
+    queries.push(`${startDate}..${endDate}`);
+    const sampled =
+      days(startDate, endDate) > 7 && !(startDate === '2026-01-01' && endDate === '2026-01-31');
+    return {
+      columnHeaders,
+      rows: [['desktop', '10', '4', '30.5', '50.0'], ['mobile', '5', '2', '12.0', '70.0']],
+      totalResults: 2,
+      containsSampledData: sampled,
+      sampleSize: sampled ? '100' : undefined,
+      sampleSpace: sampled ? '1000' : undefined
+    };
+  };
+}
+
+describe('unsampledReport', () => {
+  it('splits the sampled range into months, then the sampled months into weeks', () => {
+    const queries = [];
+    respondReports(sampledOverWeeks(queries));
+    return unsampledReport({ options, floor: 'week' }).then((report) => {
+      assert.deepStrictEqual(queries, [
+        '2026-01-01..2026-02-28',
+        '2026-01-01..2026-01-31',
+        '2026-02-01..2026-02-28',
+        '2026-02-01..2026-02-07',
+        '2026-02-08..2026-02-14',
+        '2026-02-15..2026-02-21',
+        '2026-02-22..2026-02-28'
+      ]);
+      assert.strictEqual(report.sampled, false);
+      assert.strictEqual(report.samplingRatio, 1);
+      assert.strictEqual(report.chunks.length, 5);
+    });
+  });
+
+  it('sums the additive metrics and leaves the others out', () => {
+    respondReports(sampledOverWeeks([]));
+    return unsampledReport({ options, floor: 'week' }).then((report) => {
+      assert.deepStrictEqual(report.rows, [
+        ['desktop', '50', null, null, null],
+        ['mobile', '25', null, null, null]
+      ]);
+      assert.deepStrictEqual(report.nonAdditiveMetrics.sort(), [
+        'ga:avgSessionDuration',
+        'ga:bounceRate',
+        'ga:users'
+      ]);
+    });
+  });
+
+  it('keeps the sampling of the chunks left sampled at the floor', () => {
+    respondReports(sampledOverWeeks([]));
+    return unsampledReport({ options, floor: 'month' }).then((report) => {
+      assert.strictEqual(report.sampled, true);
+      assert.strictEqual(report.samplingRatio, 0.1);
+      assert.deepStrictEqual(report.chunks.map(({ sampled }) => sampled), [false, true]);
+    });
+  });
+
+  it('returns an empty report when the view has no data', () => {
+    respondReports(() => ({ totalResults: 0 }));
+    return unsampledReport({ options }).then((report) => {
+      assert.deepStrictEqual(report.columnHeaders, []);
+      assert.deepStrictEqual(report.rows, []);
+      assert.strictEqual(report.totalResults, 0);
+    });
+  });
+
+  it('rejects an unknown floor', () =>
+    unsampledReport({ options, floor: 'hour' }).then(
+      () => assert.fail('should be rejected'),
+      (error) => assert.strictEqual(error.statusCode, 412)
+    ));
+});
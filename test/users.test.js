@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const { publish, oauth2Client } = require('./fakeAnalytics');
+const { plan } = require('../src/gaApi');
+
+const userLink = (email, local, effective = local) => ({
+  id: `1:${email}`,
+  userRef: { email },
+  permissions: { local, effective }
+});
+
+const userOperations = (options = {}) =>
+  plan({
+    oauth2Client,
+    logger: false,
+    ...options,
+    referenceObject: {
+      accountId: '1',
+      webPropertyId: 'UA-1-1',
+      accountUsers: [
+        { email: 'alice@example.com', permissions: ['EDIT', 'READ_AND_ANALYZE'] },
+        { email: 'new@example.com', permissions: ['READ_AND_ANALYZE'] }
+      ]
+    }
+  }).then((operations) =>
+    operations
+      .filter(({ type }) => type === 'accountUserLink')
+      .map(({ action, current, desired = current }) => `${action} ${desired.userRef.email}`)
+  );
+
+describe('users', () => {
+  beforeEach(() =>
+    publish({
+      webproperties: [{ id: 'UA-1-1', name: 'Site', websiteUrl: 'https://example.com' }],
+      accountUserLinks: [
+        userLink('alice@example.com', ['READ_AND_ANALYZE']),
+        userLink('bob@example.com', ['READ_AND_ANALYZE']),
+        userLink('manager@agency.com', ['MANAGE_USERS', 'READ_AND_ANALYZE']),
+        userLink('me@agency.com', ['EDIT']),
+        userLink('inherited@example.com', [], ['READ_AND_ANALYZE'])
+      ]
+    }));
+
+  it('grants the declared permissions and leaves the others without prune', () =>
+    userOperations().then((operations) =>
+      assert.deepStrictEqual(operations, ['update alice@example.com', 'insert new@example.com'])
+    ));
+
+  it('revokes the undeclared users but the operator and the managers', () =>
+    userOperations({ prune: true, operator: 'Me@Agency.com' }).then((operations) =>
+      assert.deepStrictEqual(operations, [
+        'update alice@example.com',
+        'insert new@example.com',
+        'delete bob@example.com'
+      ])
+    ));
+
+  it('revokes the managers with pruneManagers', () =>
+    userOperations({ prune: true, operator: 'me@agency.com', pruneManagers: true }).then(
+      (operations) =>
+        assert.deepStrictEqual(operations.slice(2), [
+          'delete bob@example.com',
+          'delete manager@agency.com'
+        ])
+    ));
+
+  it('never revokes the permissions inherited from the parent level', () =>
+    userOperations({ prune: true, pruneManagers: true }).then((operations) => {
+      assert.ok(~operations.indexOf('delete me@agency.com'));
+      assert.ok(!~operations.indexOf('delete inherited@example.com'));
+    }));
+});